@@ -8,12 +8,33 @@ import * as aver from "azos/aver";
 import { isSubclassOf, AzosError, arrayDelete } from "azos/types";
 import { html, AzosElement } from "./ui.js";
 import { Application } from "azos/application.js";
+import { Event, CancelableEvent, EventEmitter, vetoableAsync } from "azos/events";
+import { LOG_TYPE } from "azos/log";
 
 import { Command } from "./cmd.js";
 import { ARENA_STYLES } from "./arena.css.js";
 import * as DEFAULT_HTML from "./arena.htm.js";
 import { Applet } from "./applet.js";
 
+/**
+ * Emitted by {@link Arena} before the active applet closes, after the applet `closeQuery()` has allowed the close.
+ * Listeners may veto the close, e.g. while a background upload is in progress. Not emitted for forced closes
+ */
+export class AppletClosingEvent extends CancelableEvent{
+  constructor(sender, applet){ super(sender, applet); }
+
+  /** The applet which is about to close @returns {Applet} */
+  get applet(){ return this.bag; }
+}
+
+/** Emitted by {@link Arena} after the active applet has closed */
+export class AppletClosedEvent extends Event{
+  constructor(sender, applet){ super(sender, applet); }
+
+  /** The applet which has closed @returns {Applet} */
+  get applet(){ return this.bag; }
+}
+
 /**
  * Defines a root UI element which displays the whole Azos app.
  * See architecture introduction in root `readme.md`
@@ -63,6 +84,7 @@ export class Arena extends AzosElement {
   #applet = null;
   #appletTagName = null;
   #toolbar = [];
+  #events = new EventEmitter(this);
   constructor() {
     super();
     this.name = 'Arena';
@@ -89,6 +111,12 @@ export class Arena extends AzosElement {
   /** Returns currently open {@link Applet} instance, or null if nothing is open yet, or applet was closed */
   get applet(){ return this.#applet; }
 
+  /**
+   * Returns an emitter of {@link AppletClosingEvent} which listeners may veto, and {@link AppletClosedEvent}
+   * @returns {EventEmitter}
+   */
+  get events(){ return this.#events; }
+
   firstUpdated(){
     this.updateToolbar();
   }
@@ -159,20 +187,27 @@ export class Arena extends AzosElement {
     return true;
   }
 
-  /** Closes applet returning to default state. Pass force=true to bypass closeQuery().
+  /** Closes applet returning to default state. Pass force=true to bypass closeQuery() and {@link AppletClosingEvent} vetoes.
    * All toolbar commands installed by an applet are automatically uninstalled
-   * @param {boolean} [force=false] pass true to bypass closeQuery
-   * @returns {boolean} true if applet was closed or there was no applet to close to begin with. false when closeQuery prevented the close
+   * @param {boolean} [force=false] pass true to bypass closeQuery and vetoes
+   * @returns {boolean} true if applet was closed or there was no applet to close to begin with. false when closeQuery or a veto prevented the close
   */
   async appletClose(force = false){
-    if (!this.#applet) return true;
-    const canClose = force ? true : await this.#applet.closeQuery();
+    const applet = this.#applet;
+    if (!applet) return true;
+    const canClose = force ? true : await applet.closeQuery();
     if (!canClose) return false;
-    this.uninstallToolbarCommands([...this.#toolbar]);
-    this.#applet = null;
-    this.#appletTagName = null;
-    this.requestUpdate();//async
-    return true;
+
+    const got = await vetoableAsync(this.#events, force ? null : new AppletClosingEvent(this, applet), () => {
+      this.uninstallToolbarCommands([...this.#toolbar]);
+      this.#applet = null;
+      this.#appletTagName = null;
+      this.requestUpdate();//async
+    }, new AppletClosedEvent(this, applet));
+
+    for(const e of got.errors)
+      this.app.log.write({type: LOG_TYPE.ERROR, from: "arena.appletClose()", text: `Applet close event handler leaked: ${e.message}`, exception: e});
+    return got.done;
   }
 
 
@@ -8,6 +8,7 @@ import { html as lit_html, css as lit_css, svg as lit_svg, render as lit_render,
 import { unsafeHTML as lit_unsafe_html } from "lit/directives/unsafe-html";
 import { ref as lit_ref, createRef as lit_create_ref } from "lit/directives/ref";
 import { isOneOf } from "../azos/strings";
+import { Application } from "../azos/application";
 
 
 /** CSS template processing pragma: css`p{color: blue}` */
@@ -113,6 +114,24 @@ export class AzosElement extends LitElement {
     return this.#arena;
   }
 
+  /** Returns {@link Application} instance which this element works under. The app is resolved from the first
+   * (great/grand)parent element which is either an arena, or has an `app` attribute set to an app id or instance id,
+   * see {@link Application.find}; {@link Application.current} is returned when no such element is found.
+   * This way several apps hosted in the same page resolve their own elements
+   * @returns {Application}
+  */
+  get app(){
+    for(let n = this; n; n = n.parentNode ?? n.host ?? null){
+      if (n !== this && n.arena === n) return n.app;
+      const key = typeof n.getAttribute === "function" ? n.getAttribute("app") : null;
+      if (key){
+        const app = Application.find(key);
+        if (app !== null) return app;
+      }
+    }
+    return Application.current;
+  }
+
   /** Returns custom HTML element tag name for this element type registered with `customElements` collection */
   get customElementTagName() { return customElements.getName(this.constructor); }
 
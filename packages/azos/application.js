@@ -7,19 +7,32 @@
 import * as types from "./types.js";
 import * as aver from "./aver.js";
 import { $ } from "./linq.js";
-import { Configuration, ConfigNode, makeNew, config } from "./conf.js";
+import { Configuration, ConfigNode, ConfigError, ConfigValidationError, ConfigChangeEvent, makeNew, config, resolveType, DEFAULT_ENV_NAME } from "./conf.js";
+import { CONFIG_SCHEMA_PROP, validate, describeErrors } from "./confschema.js";
+import { EventEmitter } from "./events.js";
 import { Session } from "./session.js";
 import { AppComponent } from "./components.js";
-import { Module, ModuleLinker } from "./modules.js";
+import { Module, ModuleLinker, DEPENDENCIES_PROP, HEALTH_STATUS, HEALTH_CHECK_METHOD } from "./modules.js";
 import * as lcl from "./localization.js";
-import { asMsgType, LOG_TYPE } from "./log.js";
+import { asMsgType, LOG_TYPE, exceptionToData } from "./log.js";
 import { ILog, ConLog } from "./ilog.js";
+import { LINKER_PROP, INJECT_PROP, asDependency } from "./linker.js";
 
 /** Provides uniform base for App chassis related exceptions */
 export class AppError extends types.AzosError {
   constructor(message, from = null, cause = null){ super(message, from, cause, 507); }
 }
 
+/** Application lifecycle states, see {@link Application.start} and {@link Application.stop} */
+export const APP_STATE = Object.freeze({
+  CREATED:  "created",
+  STARTING: "starting",
+  RUNNING:  "running",
+  STOPPING: "stopping",
+  STOPPED:  "stopped",
+  FAILED:   "failed"
+});
+
 
 /**
  * A helper factory method creates a new application (new Application(cfg)) from a config object
@@ -45,12 +58,36 @@ export function application(cfg){
 }
 
 
+/**
+ * Scope provider establishes which app is "current" while a function runs, see {@link Application.run}.
+ * The default provider tracks scopes for the synchronous duration of a call only; runtimes which support
+ * async context propagation (e.g. node `AsyncLocalStorage`) can install a provider which flows through awaits
+ * @typedef {Object} AppScopeProvider
+ * @property {Application | null} current returns the app of the innermost active scope or null when there is none
+ * @property {Function} run `run(app, fn): any` calls `fn()` within the app scope returning its result
+ */
+
+/** Default {@link AppScopeProvider} which keeps a stack of scopes for the synchronous duration of calls */
+export class SyncAppScope{
+  #stack = [];
+
+  get current(){ return this.#stack.length > 0 ? this.#stack[this.#stack.length - 1] : null; }
+
+  run(app, fn){
+    this.#stack.push(app);
+    try{ return fn(); }
+    finally { this.#stack.pop(); }
+  }
+}
+
 /**
  * Implements a base Application chassis pattern
  */
 export class Application extends types.DisposableObject{
   static #instances = [];
   static #instance = null;
+  static #registry = new Map();// instanceId -> app
+  static #scope = new SyncAppScope();
 
   /**
    * Returns instance of the most recently constructed {@link Application} object,
@@ -59,6 +96,55 @@ export class Application extends types.DisposableObject{
   */
   static get instance(){ return Application.#instance ?? NopApplication.instance; }
 
+  /**
+   * Returns the app of the innermost {@link Application.run} scope, falling back to {@link Application.instance}.
+   * Use this instead of `instance` when several apps are hosted in the same page or process
+   * @return {Application}
+   */
+  static get current(){ return Application.#scope.current ?? Application.instance; }
+
+  /** Returns an array of all registered (constructed and not yet disposed) apps in the order of their construction @return {Application[]}*/
+  static get all(){ return [...Application.#registry.values()]; }
+
+  /**
+   * Returns a registered app by its instance id, or null if it is not found
+   * @param {string} instanceId app instance guid
+   * @returns {Application | null}
+   */
+  static getByInstanceId(instanceId){ return Application.#registry.get(instanceId) ?? null; }
+
+  /**
+   * Returns a registered app by its id, or null if it is not found.
+   * If several apps share the same id, the most recently constructed one is returned
+   * @param {string} id app id
+   * @returns {Application | null}
+   */
+  static getById(id){
+    let result = null;
+    for(const app of Application.#registry.values()) if (app.id === id) result = app;
+    return result;
+  }
+
+  /**
+   * Returns a registered app by its instance id or id, or null if it is not found
+   * @param {string} key app instance guid or app id
+   * @returns {Application | null}
+   */
+  static find(key){ return Application.getByInstanceId(key) ?? Application.getById(key); }
+
+  /**
+   * Replaces the {@link AppScopeProvider} used by {@link Application.run} and {@link Application.current}
+   * @param {AppScopeProvider} provider new scope provider, pass null to restore the default synchronous one
+   * @returns {AppScopeProvider} previous provider
+   */
+  static setScopeProvider(provider){
+    provider = provider ?? new SyncAppScope();
+    aver.isFunction(provider.run);
+    const result = Application.#scope;
+    Application.#scope = provider;
+    return result;
+  }
+
   #config;
   #id;
   #name;
@@ -75,6 +161,20 @@ export class Application extends types.DisposableObject{
   #moduleLinker;
   #dfltLog;
   #logLevel;
+  #moduleCfgPaths = new Map();
+  #moduleLevels = new Map();
+  #configEvents = new EventEmitter(this);
+
+  #state = APP_STATE.CREATED;
+  #startTimeoutMs;
+  #stopTimeoutMs;
+  #healthCheckTimeoutMs;
+  #startPromise = null;
+  #stopPromise = null;
+  #startedModules = [];
+  #ready;
+  #readyResolve;
+  #readyReject;
 
   /**
    * Initializes {@link Application} object instance by passing {@link Configuration} object.
@@ -96,15 +196,25 @@ export class Application extends types.DisposableObject{
     this.#name = root.getString("name", this.#id);
     this.#description = root.getString("description", this.#id);
     this.#copyright = root.getString("copyright", "2023 Azist Group");
-    this.#envName = root.getString(["envName", "env", "environment"], "local");
+    this.#envName = root.getString(["envName", "env", "environment"], DEFAULT_ENV_NAME);
     this.#isTest = root.getBool("isTest", false);
 
+    this.#startTimeoutMs = root.getDuration("startTimeoutMs", 30_000);
+    this.#stopTimeoutMs = root.getDuration("stopTimeoutMs", 10_000);
+    this.#healthCheckTimeoutMs = root.getDuration("healthCheckTimeoutMs", 5_000);
+    this.#ready = new Promise((resolve, reject) => {
+      this.#readyResolve = resolve;
+      this.#readyReject = reject;
+    });
+    this.#ready.catch(() => {});//failures are surfaced by start()
+
     this.#dfltLog = new ConLog(this, config({name: "log", [types.ORDER_PROP]: -1_000_000}).root);
 
     this.#session = this._makeSession(root.get("session"));
     this.#localizer = this._makeLocalizer(root.get("localizer"));
 
     this.#moduleLinker = new ModuleLinker();
+    this.#moduleLinker.trace = root.getBool("linkerTrace", false);
     this._loadModules(this.#moduleLinker, root.get("modules", "module", "mods", "mod"));
     if (this.#moduleLinker.tryResolve(ILog)===null) this.#moduleLinker.register(this.#dfltLog);
     this._modulesAfterLoad();
@@ -113,6 +223,7 @@ export class Application extends types.DisposableObject{
       Application.#instances.push(Application.#instance);
     }
     Application.#instance = this;
+    if (cfg !== cfgNOP) Application.#registry.set(this.#instanceId, this);//NOP stub is not a hosted app
   }
 
   /**
@@ -120,7 +231,7 @@ export class Application extends types.DisposableObject{
    * Call this method via app[Symbol.dispose] protocol.
    * This also replaces the {@link Application.instance} value
    * with the app instance that was in effect right before call to .ctor
-   * or {@link NopApplication.instance} if there are no more apps in the stack.
+   * or {@link NopApplication.instance} if there are no more apps in the stack, and removes the app from the registry, see {@link Application.all}.
    * This method has no effect in `NopApplication`.
   */
   [types.DESTRUCTOR_METHOD](){
@@ -132,11 +243,14 @@ export class Application extends types.DisposableObject{
     const all = this.rootComponents;
     for(const cmp of all) try{ types.dispose(cmp); } catch(e) { console.error(`App dispose root cmp '${cmp}': ${e.message}`, e); }
 
+    for(const scope of this.#moduleLinker.children) try{ types.dispose(scope); } catch(e) { console.error(`App dispose linker scope leaked: ${e.message}`, e); }
+
     try{ types.dispose(this.#dfltLog); }
     catch(e){ console.error(`App dispose dfltLog leaked: ${e.message}`, e); }
 
-    let prev = Application.#instances.pop();
-    Application.#instance = prev ?? null;
+    if (Application.#instance === this) Application.#instance = Application.#instances.pop() ?? null;
+    else types.arrayDelete(Application.#instances, this);//disposed out of construction order
+    Application.#registry.delete(this.#instanceId);
   }
 
   /** String representation of app */
@@ -145,9 +259,260 @@ export class Application extends types.DisposableObject{
   /** Returns application id atom @return {atom}*/
   get id(){ return this.#id; }
 
+  /** Returns application lifecycle state @return {APP_STATE}*/
+  get state(){ return this.#state; }
+
+  /**
+   * Returns a promise which resolves with this app once it has successfully started,
+   * or rejects with the start error if the start fails, see {@link start}
+   * @returns {Promise<Application>}
+   */
+  get ready(){ return this.#ready; }
+
+  /** Returns default module start timeout in ms, configured by `startTimeoutMs` @return {number}*/
+  get startTimeoutMs(){ return this.#startTimeoutMs; }
+
+  /** Returns default module stop timeout in ms, configured by `stopTimeoutMs` @return {number}*/
+  get stopTimeoutMs(){ return this.#stopTimeoutMs; }
+
+  /**
+   * Asynchronously starts the app by calling `_appStart()` on all modules in phases: modules with the same `ORDER_PROP`
+   * form a phase and start concurrently, phases run one after another in ascending order.
+   * Each module start is limited by its `startTimeoutMs` which defaults to the app one.
+   * If any module fails, the modules which have already started are stopped in reverse order,
+   * the app transitions into {@link APP_STATE.FAILED} and the returned promise (as well as {@link ready}) rejects.
+   * Calling this method again returns the same promise
+   * @returns {Promise<Application>} this app once it is running
+   */
+  start(){
+    if (this.#startPromise === null) this.#startPromise = this.#start();
+    return this.#startPromise;
+  }
+
+  async #start(){
+    if (this.#state !== APP_STATE.CREATED) throw new AppError(`App can not be started in '${this.#state}' state`, "app.start()");
+    this.#state = APP_STATE.STARTING;
+    const stamp = Date.now();
+
+    try{
+      for(const phase of this.#groupPhases(this.modules)){
+        const results = await Promise.allSettled(phase.map(module => {
+          const call = Promise.resolve().then(() => module._appStart());
+          return types.callWithTimeout(() => call, module.startTimeoutMs ?? this.#startTimeoutMs, `Module '${module}' start`, "app.start()", AppError)
+          .then(() => this.#startedModules.push(module), (error) => {
+            call.then(() => this.#stopLate(module), () => {});//the start keeps running after the timeout, stop it once it completes
+            throw error;
+          });
+        }));
+        const errors = results.filter(one => one.status === "rejected").map(one => one.reason);
+        if (errors.length > 0) throw errors.length === 1 ? errors[0] : new AppError(errors.map(e => e.message).join("; "), "app.start()", errors[0]);
+      }
+    } catch(cause){
+      const error = new AppError(`App start failed: ${cause.message}`, "app.start()", cause);
+      this.log.write({type: LOG_TYPE.ERROR, from: "app.start()", text: error.message, exception: cause});
+      await this.#unwind("app.start()");
+      this.#state = APP_STATE.FAILED;
+      this.#readyReject(error);
+      throw error;
+    }
+
+    this.#state = APP_STATE.RUNNING;
+    this.log.write({type: LOG_TYPE.INFO, from: "app.start()", text: `App started in ${Date.now() - stamp} ms`});
+    this.#readyResolve(this);
+    return this;
+  }
+
+  /**
+   * Asynchronously stops the running app by calling `_appStop()` on started modules in reverse phase order.
+   * Each module stop is limited by its `stopTimeoutMs` which defaults to the app one; stop errors are logged and do not
+   * prevent other modules from stopping. Call this method before disposing an app which was started.
+   * Waits for the start to complete if it is in progress. Does nothing if the app was never started or failed to start
+   * @returns {Promise}
+   */
+  stop(){
+    if (this.#startPromise === null) return Promise.resolve();
+    if (this.#stopPromise === null) this.#stopPromise = this.#stop();
+    return this.#stopPromise;
+  }
+
+  async #stop(){
+    try{ await this.#startPromise; }
+    catch{ return; }//failed start has already unwound
+
+    this.#state = APP_STATE.STOPPING;
+    await this.#unwind("app.stop()");
+    this.#state = APP_STATE.STOPPED;
+    this.log.write({type: LOG_TYPE.INFO, from: "app.stop()", text: "App stopped"});
+  }
+
+  /** Splits modules into phases - arrays of modules having the same `ORDER_PROP` and dependency level, in ascending order */
+  #groupPhases(modules){
+    const level = one => this.#moduleLevels.get(one) ?? 0;
+    const sorted = [...modules].sort((a, b) => (a[types.ORDER_PROP] - b[types.ORDER_PROP]) || (level(a) - level(b)));
+    const result = [];
+    for(const one of sorted){
+      const last = result.length > 0 ? result[result.length - 1] : null;
+      if (last !== null && last[0][types.ORDER_PROP] === one[types.ORDER_PROP] && level(last[0]) === level(one)) last.push(one);
+      else result.push([one]);
+    }
+    return result;
+  }
+
+  /**
+   * Runs health checks of all modules which implement {@link HEALTH_CHECK_METHOD} concurrently, each limited by the timeout,
+   * and returns a report with per-module status, latency and error details. The overall status is the worst module status
+   * @param {number} [timeoutMs] optional check timeout in ms, `healthCheckTimeoutMs` app config value (5 sec by default) is used when not passed
+   * @returns {Promise<{app: string, instanceId: string, status: HEALTH_STATUS, utcTimestamp: string, latencyMs: number, modules: object[]}>}
+   */
+  async checkHealth(timeoutMs = null){
+    timeoutMs = timeoutMs ?? this.#healthCheckTimeoutMs;
+    const stamp = Date.now();
+    const targets = this.modules.filter(one => types.isFunction(one[HEALTH_CHECK_METHOD]));
+
+    const modules = await Promise.all(targets.map(async (module) => {
+      const mstamp = Date.now();
+      const result = {name: module[types.NAME_PROP], type: module.constructor.name, sid: module.sid, status: HEALTH_STATUS.HEALTHY, latencyMs: 0, details: null, error: null};
+      try{
+        const got = await types.callWithTimeout(() => module[HEALTH_CHECK_METHOD](), timeoutMs, `Module '${module}' health check`, "app.checkHealth()", AppError);
+        if (types.isObject(got)){
+          const {status, ...details} = got;
+          if (types.isAssigned(status)) result.status = types.allObjectValues(HEALTH_STATUS).includes(status) ? status : HEALTH_STATUS.UNHEALTHY;
+          result.details = details;
+        }
+      } catch(e) {
+        result.status = HEALTH_STATUS.UNHEALTHY;
+        result.error = exceptionToData(e, this);
+      }
+      result.latencyMs = Date.now() - mstamp;
+      return result;
+    }));
+
+    const has = (status) => modules.some(one => one.status === status);
+    const status = has(HEALTH_STATUS.UNHEALTHY) ? HEALTH_STATUS.UNHEALTHY : has(HEALTH_STATUS.DEGRADED) ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.HEALTHY;
+    if (status !== HEALTH_STATUS.HEALTHY){
+      const failed = modules.filter(one => one.status !== HEALTH_STATUS.HEALTHY).map(one => `${one.name}: ${one.status}`);
+      this.log.write({type: LOG_TYPE.WARNING, from: "app.checkHealth()", text: `App is ${status}: ${failed.join(", ")}`});
+    }
+
+    return {
+      app: this.#id,
+      instanceId: this.#instanceId,
+      status,
+      utcTimestamp: new Date(stamp).toISOString(),
+      latencyMs: Date.now() - stamp,
+      modules
+    };
+  }
+
+  /** Stops a module whose start has completed after its timeout, as the app start has already failed and unwound by then */
+  async #stopLate(module){
+    this.log.write({type: LOG_TYPE.WARNING, from: "app.start()", text: `Module '${module}' started after its start timeout, stopping it`});
+    try{
+      await types.callWithTimeout(() => module._appStop(), module.stopTimeoutMs ?? this.#stopTimeoutMs, `Module '${module}' stop`, "app.start()", AppError);
+    } catch(e) {
+      this.log.write({type: LOG_TYPE.ERROR, from: "app.start()", text: `Module stop leaked: ${e.message}`, exception: e});
+    }
+  }
+
+  /** Stops started modules in reverse phase order, logging errors */
+  async #unwind(from){
+    const phases = this.#groupPhases(this.#startedModules).reverse();
+    this.#startedModules = [];
+    for(const phase of phases){
+      const results = await Promise.allSettled(phase.map(module =>
+        types.callWithTimeout(() => module._appStop(), module.stopTimeoutMs ?? this.#stopTimeoutMs, `Module '${module}' stop`, from, AppError)
+      ));
+      for(const one of results){
+        if (one.status === "rejected") this.log.write({type: LOG_TYPE.ERROR, from: from, text: `Module stop leaked: ${one.reason.message}`, exception: one.reason});
+      }
+    }
+  }
+
   /** Returns application configuration object @return {Configuration}*/
   get config(){ return this.#config; }
 
+  /**
+   * Returns an emitter of {@link ConfigChangeEvent} which fires after the app config gets replaced or patched at runtime.
+   * Subscribers may use `evt.isAffected(path)` to check whether the config sections they depend on have changed
+   * @returns {EventEmitter}
+   */
+  get configEvents(){ return this.#configEvents; }
+
+  /**
+   * Replaces the running app configuration with the new one without restarting the app.
+   * The new config is validated first, and if it is invalid nothing gets changed; then the config is swapped at once,
+   * the change is logged, modules whose config sections were affected are notified via `_appConfigChanged(cfg, evt)`,
+   * and finally the {@link ConfigChangeEvent} is emitted via {@link configEvents}.
+   * Only reconfiguration is supported: modules can not be added, removed or have their names and types changed, and
+   * the app identity (id, name, environment etc.) stays the same; `logLevel` is re-read
+   * @param {Configuration | ConfigNode | object | string} cfg new configuration, or content object or string which is built
+   * with the options of the running config, such as environment name, includes, variable providers and format
+   * @returns {ConfigChangeEvent} change event which lists changed paths, the event is not emitted when nothing has changed
+   */
+  replaceConfig(cfg){
+    if (this[types.DISPOSED_PROP]) throw new AppError("App is already disposed", "app.replaceConfig()");
+    if (cfg instanceof ConfigNode) cfg = cfg.configuration;
+    if (!(cfg instanceof Configuration)) cfg = new Configuration(cfg, this.#config.options);
+
+    const evt = new ConfigChangeEvent(this, this.#config, cfg);
+    if (evt.changes.length === 0) return evt;
+
+    //validate everything up front, so the change is either applied in whole or not at all
+    const root = cfg.root;
+    const logLevel = asMsgType(root.getString("logLevel", LOG_TYPE.INFO));
+    const targets = this.#mapModuleConfigs(cfg);
+    const cfgMods = root.get("modules", "module", "mods", "mod");
+    if (cfgMods instanceof ConfigNode) this._validateModules(cfgMods);
+
+    this.#config = cfg;
+    this.#logLevel = logLevel;
+
+    this.log.write({type: LOG_TYPE.INFO, from: "app.replaceConfig()", text: `Config changed at ${evt.changes.length} path(s)`, params: {changes: evt.changes}});
+
+    for(const [module, cfgMod] of targets){
+      if (!evt.isAffected(cfgMod.path)) continue;
+      try{ module._appConfigChanged(cfgMod, evt); }
+      catch(e){ this.log.write({type: LOG_TYPE.ERROR, from: "app.replaceConfig()", text: `Module '${module}' config change leaked: ${e.message}`, exception: e}); }
+    }
+
+    try{ this.#configEvents.emit(evt); }
+    catch(e){ this.log.write({type: LOG_TYPE.ERROR, from: "app.replaceConfig()", text: `Config change event handler leaked: ${e.message}`, exception: e}); }
+
+    return evt;
+  }
+
+  /**
+   * Patches the running app configuration by overlaying it with the patch content, see {@link Configuration.patch}
+   * and {@link replaceConfig}
+   * @param {object | string} content patch content object or a string in the running config format
+   * @param {ARRAY_MERGE} [arrayMerge] optional default array merge mode
+   * @returns {ConfigChangeEvent} change event which lists changed paths
+   */
+  patchConfig(content, arrayMerge = undefined){
+    return this.replaceConfig(this.#config.patch(content, arrayMerge));
+  }
+
+  /** Maps loaded modules to their config nodes in the new config, throwing if the set of modules has changed */
+  #mapModuleConfigs(cfg){
+    const names = ["modules", "module", "mods", "mod"];
+    const oldMods = this.#config.root.get(...names);
+    const newMods = cfg.root.get(...names);
+    const count = (mods) => mods instanceof ConfigNode ? [...mods.getChildren(false)].length : 0;
+    if (count(oldMods) !== count(newMods))
+      throw new AppError(`Module config change requires app restart: module count changed from ${count(oldMods)} to ${count(newMods)}`, "app.replaceConfig()");
+
+    const result = [];
+    for(const [module, path] of this.#moduleCfgPaths){
+      const oldNode = this.#config.root.nav(path);
+      const newNode = cfg.root.nav(path);
+      if (!(newNode instanceof ConfigNode) || !newNode.isSection ||
+          newNode.get("name") !== oldNode.get("name") || newNode.get("type") !== oldNode.get("type"))
+        throw new AppError(`Module config change requires app restart: module '${module}' at '${path}' was renamed or retyped`, "app.replaceConfig()");
+      result.push([module, newNode]);
+    }
+    return result;
+  }
+
   /** Returns application short name string @return {string}*/
   get name(){ return this.#name; }
 
@@ -169,6 +534,17 @@ export class Application extends types.DisposableObject{
   /** Returns application start time stamp Date object @return {Date}*/
   get startTime(){ return this.#startTime; }
 
+  /**
+   * Calls the function within the scope of this app, so {@link Application.current} returns this app while the function runs.
+   * With the default scope provider the scope covers the synchronous part of the call only, see {@link AppScopeProvider}
+   * @param {Function} fn function `fn(app): any` to call
+   * @returns {any} the function result
+   */
+  run(fn){
+    aver.isFunction(fn);
+    return Application.#scope.run(this, () => fn(this));
+  }
+
   /** Returns an array of all components directed by this app, directly or indirectly (through other components)
    *  @returns {AppComponent[]} an array of components or empty array
   */
@@ -179,13 +555,59 @@ export class Application extends types.DisposableObject{
   */
   get rootComponents(){ return AppComponent.getRootApplicationComponents(this); }
 
+  /**
+   * Returns leaked components of this app - the ones which are not disposed while their directing component
+   * (or this app) already is
+   * @returns {AppComponent[]} an array of leaked components or empty array
+   */
+  getLeakedComponents(){
+    return this.components.filter(one => !one[types.DISPOSED_PROP] && one[types.DIRECTOR_PROP][types.DISPOSED_PROP]);
+  }
+
+  /**
+   * Returns a serializable snapshot of the app component tree for diagnostics and tests.
+   * Each tree node is a plain object `{sid, type, name, director, logLevel, effectiveLogLevel, disposed, leaked, children}`
+   * where `director` is the sid of the directing component or null for components directed by the app.
+   * Leaked components (see {@link getLeakedComponents}) are listed at the root level having `leaked: true`
+   * @returns {{app: object, count: int, leaked: int[], components: object[]}}
+   */
+  getComponentTree(){
+    const all = this.components;
+    const leaked = new Set(this.getLeakedComponents());
+    const nodes = new Map(all.map(one => [one, describeComponent(one, leaked.has(one))]));
+
+    const roots = [];
+    for(const one of all){
+      const node = nodes.get(one);
+      const parent = nodes.get(one[types.DIRECTOR_PROP]);
+      if (parent !== undefined) parent.children.push(node);
+      else roots.push(node);
+    }
+
+    return {
+      app: {
+        id: this.#id,
+        name: this.#name,
+        instanceId: this.#instanceId,
+        envName: this.#envName,
+        state: this.#state,
+        logLevel: this.#logLevel,
+        disposed: this[types.DISPOSED_PROP]
+      },
+      count: all.length,
+      leaked: [...leaked].map(one => one.sid),
+      components: roots
+    };
+  }
+
   /** Returns an array of all app Modules according to their ORDER
-   * @returns {Module[]} an array of modules ordered according to their `ORDER_PROP` key
+   * @returns {Module[]} an array of modules ordered according to their `ORDER_PROP` key, then dependency level and load order
   */
   get modules(){
+    const level = one => this.#moduleLevels.get(one) ?? 0;
     const mods = $(AppComponent.getAllApplicationComponents(this))
                  .where(one => one instanceof Module)
-                 .orderBy((a, b) => a[types.ORDER_PROP] < b[types.ORDER_PROP] ? -1 : 1);
+                 .orderBy((a, b) => (a[types.ORDER_PROP] - b[types.ORDER_PROP]) || (level(a) - level(b)) || (a.sid - b.sid));
     return mods.toArray();
   }
 
@@ -249,11 +671,16 @@ export class Application extends types.DisposableObject{
   }
 
   /**
-   * Returns module linker used for service location/DI
+   * Returns module linker used for service location/DI.
+   * Use `moduleLinker.createChild()` to make a scope (e.g. per applet or request); scopes still alive are disposed along with the app.
+   * Set `linkerTrace: true` in app config to turn on the linker trace mode from the very start, so module dependency resolutions are recorded
    * @returns {ModuleLinker}
    */
   get moduleLinker(){ return this.#moduleLinker; }
 
+  /** Returns module linker used to inject dependencies into components directed by the app, see `INJECT_PROP` @returns {ModuleLinker}*/
+  get [LINKER_PROP](){ return this.#moduleLinker; }
+
   /** Factory method used to allocate modules and register with linker.
    * @param {ModuleLinker} linker
    * @param {ConfigNode} cfg configuration node
@@ -261,13 +688,115 @@ export class Application extends types.DisposableObject{
   _loadModules(linker, cfg){
     if (types.isAssigned(cfg)) {
       aver.isOf(cfg, ConfigNode);
-      for(const cfgMod of cfg.getChildren(false)){
-        const module = makeNew(Module, cfgMod, this);
+      this._validateModules(cfg);
+      const sorted = this._sortModules(cfg);
+      //default log is registered up front so it can be injected into modules when no log module is configured
+      if (!sorted.some(({type}) => type !== null && (type === ILog || types.isSubclassOf(type, ILog)))) linker.register(this.#dfltLog);
+      for(const {node, level} of sorted){
+        const module = makeNew(Module, node, this, null, null, true);//already validated by _validateModules()
         linker.register(module);
+        this.#moduleCfgPaths.set(module, node.path);
+        this.#moduleLevels.set(module, level);
       }
     }
   }
 
+  /** Computes module load order out of the dependencies declared by module classes via `DEPENDENCIES_PROP` and `INJECT_PROP`, so modules
+   * get loaded (and started) after the modules they depend on. Missing dependencies, dependencies on modules with greater
+   * `order` and dependency cycles are reported as an {@link AppError} naming the offending modules.
+   * This is done before any module gets constructed. The `ILog` dependency is satisfied by the default app log when no log is configured.
+   * @param {ConfigNode} cfg modules configuration node
+   * @returns {{node: ConfigNode, type: Function | null, level: int}[]} module config nodes in load order along with their types and dependency depth
+   */
+  _sortModules(cfg){
+    const entries = [...cfg.getChildren(false)].map(node => {
+      let type = node.get("type");
+      if (types.isString(type)) type = resolveType(type, Module);
+      return {node, type: types.isFunction(type) ? type : null, name: node.getString("name", null), order: node.getInt("order", 0), deps: [], level: -1};
+    });
+    const describe = one => `'${one.name ?? one.node.path}'`;
+
+    const errors = [];
+    for(const one of entries){
+      if (one.type === null) continue;
+      const declared = one.type[DEPENDENCIES_PROP];
+      const injected = one.type[INJECT_PROP];
+      if (types.isAssigned(declared) && !types.isArray(declared)){
+        errors.push(`module ${describe(one)} type '${one.type.name}' dependencies must be declared as an array`);
+        continue;
+      }
+      if (types.isAssigned(injected) && !types.isObject(injected)){
+        errors.push(`module ${describe(one)} type '${one.type.name}' injected dependencies must be declared as an object map`);
+        continue;
+      }
+
+      for(const d of [...(declared ?? []), ...Object.values(injected ?? {})]){
+        const dep = asDependency(d);
+        if (dep === null){
+          errors.push(`module ${describe(one)} type '${one.type.name}' has bad dependency declaration`);
+          continue;
+        }
+        const target = dep.name === null ? `'${dep.type.name}'` : `'${dep.type.name}("${dep.name}")'`;
+        const providers = entries.filter(p => p !== one && p.type !== null &&
+                                              (p.type === dep.type || types.isSubclassOf(p.type, dep.type)) &&
+                                              (dep.name === null || p.name === dep.name));
+        if (providers.length === 0){
+          const byDefaultLog = dep.name === null && (dep.type === ILog || dep.type === ConLog);
+          if (!dep.optional && !byDefaultLog) errors.push(`module ${describe(one)} depends on ${target} which is not configured`);
+          continue;
+        }
+        for(const p of providers){
+          if (p.order > one.order) errors.push(`module ${describe(one)} (order ${one.order}) depends on module ${describe(p)} (order ${p.order}) which is loaded later`);
+          if (!one.deps.includes(p)) one.deps.push(p);
+        }
+      }
+    }
+    if (errors.length > 0) throw new AppError(`Unsatisfied module dependencies: ${errors.join("; ")}`, "app._sortModules()");
+
+    //depth-first topological sort which keeps the config order of independent modules
+    const result = [];
+    const path = [];
+    const visit = (one) => {
+      if (one.level >= 0) return one.level;
+      const i = path.indexOf(one);
+      if (i >= 0) throw new AppError(`Module dependency cycle: ${path.slice(i).concat(one).map(describe).join(" -> ")}`, "app._sortModules()");
+      path.push(one);
+      one.level = one.deps.reduce((max, d) => Math.max(max, visit(d) + 1), 0);
+      path.pop();
+      result.push({node: one.node, type: one.type, level: one.level});
+      return one.level;
+    };
+    entries.forEach(visit);
+    return result;
+  }
+
+  /** Validates module config sections against config schemas declared by module classes via `CONFIG_SCHEMA_PROP`.
+   * Module types referenced by registered monikers are resolved first, and unknown monikers are reported as errors.
+   * This is done before any module gets constructed, and all errors of all modules are reported at once.
+   * @param {ConfigNode} cfg modules configuration node
+   */
+  _validateModules(cfg){
+    const errors = [];
+    for(const cfgMod of cfg.getChildren(false)){
+      let type = cfgMod.get("type");
+      if (types.isString(type)){
+        try{ type = resolveType(type, Module); }
+        catch(e){
+          errors.push(new ConfigError(e.message, `${cfgMod.path}/type`));
+          continue;
+        }
+      }
+      const schema = types.isFunction(type) ? type[CONFIG_SCHEMA_PROP] : undefined;
+      if (types.isAssigned(schema)) validate(cfgMod, schema).forEach(e => errors.push(e));
+    }
+
+    if (errors.length > 0){
+      const text = describeErrors(errors);
+      const cause = new ConfigValidationError(`Module config has ${errors.length} error(s): ${text}`, "app._validateModules()", errors);
+      throw new AppError(`Invalid module config: ${text}`, "app._validateModules()", cause);
+    }
+  }
+
   /** Called by app after modules loaded, delegates to each module _appAfterLoad */
   _modulesAfterLoad(){ for(const one of this.modules) one._appAfterLoad(); }
 
@@ -275,11 +804,27 @@ export class Application extends types.DisposableObject{
   _modulesBeforeCleanup(){ for(const one of this.modules.reverse()) one._appBeforeCleanup(); }
 }
 
+/** Describes a component as a plain tree node object */
+function describeComponent(cmp, leaked){
+  const dir = cmp[types.DIRECTOR_PROP];
+  return {
+    sid: cmp.sid,
+    type: cmp.constructor.name,
+    name: cmp[types.NAME_PROP] ?? null,
+    director: dir instanceof AppComponent ? dir.sid : null,
+    logLevel: cmp.logLevel,
+    effectiveLogLevel: cmp.effectiveLogLevel,
+    disposed: cmp[types.DISPOSED_PROP],
+    leaked,
+    children: []
+  };
+}
+
 const cfgNOP = new Configuration({
   id: "NOP",
   name: "NOP",
   description: "Nop application",
-  envName: "local"
+  envName: DEFAULT_ENV_NAME
 });
 
 /**
@@ -5,7 +5,7 @@
 </FILE_LICENSE>*/
 
 import * as aver from "./aver.js";
-import { Module } from "./modules.js";
+import { Module, HEALTH_STATUS, HEALTH_CHECK_METHOD } from "./modules.js";
 import { LOG_TYPE } from "./log.js";
 
 
@@ -15,7 +15,8 @@ export const SYNC_EVT_TYPE_SESSION_CHANGE = "session-change";
 /** Synchronizes global state between application instances running in different browser windows/tabs */
 export class AppSync extends Module{
 
-  #channel;
+  #channel = null;
+  #handlers = new Map();
 
   constructor(dir, cfg){
     super(dir, cfg);
@@ -26,7 +27,13 @@ export class AppSync extends Module{
 
 
   _appAfterLoad(){
+    if (typeof(BroadcastChannel) === "undefined"){
+      this.#channel = null;
+      this.writeLog(LOG_TYPE.WARNING, "BroadcastChannel is not supported by this runtime, app sync is disabled");
+      return;
+    }
     const chn = new BroadcastChannel(`Azos-app-${this.app.id}`);
+    if (typeof(chn.unref) === "function") chn.unref();//node: do not keep the process alive just because of the open channel
     chn.onmessage = (evt) => {
       if (evt.data){
         this.writeLog(LOG_TYPE.TRACE, `Got channel '${chn.name}' event '${evt.data.type}'`);
@@ -41,6 +48,7 @@ export class AppSync extends Module{
   }
 
   _appBeforeCleanup(){
+    if (!this.#channel) return;
     const cn = this.#channel.name;
     try {
       this.#channel.close();
@@ -64,14 +72,50 @@ export class AppSync extends Module{
     return this._doHandleEvent(tp, body);
   }
 
-  /** Override to handle your custom events. The default implementation synchronizes session state */
+  /** Override to handle your custom events. The default implementation synchronizes session state
+   * and calls handlers registered with {@link addHandler}
+   */
   _doHandleEvent(tp, body){
     if (tp === SYNC_EVT_TYPE_SESSION_CHANGE){
       this.writeLog(LOG_TYPE.INFO, "Got session change event");
       this.app.session._sync(body);
       return true;
     }
-    return false;
+    const handler = this.#handlers.get(tp);
+    if (handler === undefined) return false;
+    handler(body);
+    return true;
+  }
+
+  /**
+   * Registers a handler of channel events of the specified type, so other modules can exchange their events
+   * without subclassing AppSync
+   * @param {string} tp event type
+   * @param {Function} handler a function which takes the event body
+   * @returns {boolean} true if registered, false if the event type already has a handler
+   */
+  addHandler(tp, handler){
+    aver.isNonEmptyString(tp);
+    aver.isFunction(handler);
+    if (tp === SYNC_EVT_TYPE_SESSION_CHANGE || this.#handlers.has(tp)) return false;
+    this.#handlers.set(tp, handler);
+    return true;
+  }
+
+  /**
+   * Removes a handler registered with {@link addHandler}
+   * @param {string} tp event type
+   * @returns {boolean} true if the handler was found and removed
+   */
+  removeHandler(tp){
+    return this.#handlers.delete(tp);
+  }
+
+  /** Reports whether the broadcast channel is open */
+  async [HEALTH_CHECK_METHOD](){
+    const chn = this.#channel ?? null;
+    return chn !== null ? {status: HEALTH_STATUS.HEALTHY, channel: chn.name}
+                        : {status: HEALTH_STATUS.UNHEALTHY, channel: null};
   }
 
   /** Post event object into app sync channel */
@@ -0,0 +1,293 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+/*
+ Application-wide event bus. Unlike a local EventEmitter owned by an object, the bus is a module
+ resolved from the app module linker, so modules and UI components which do not know each other can exchange events:
+
+  const bus = app.moduleLinker.resolve(EventBus);
+  bus.subscribe(onCart, CartEvent);            //by event type, more specific types are handled first
+  bus.subscribe(onAny, "cart.*", "session.**");//by topic pattern
+  bus.subscribeWeak(element, CartEvent);       //does not keep `element` alive
+  bus.publish(new CartEvent(this, {qty: 2}), "cart.changed");
+
+ Topics are dot-separated segments, topic patterns support `*` for exactly one segment and `**` for any number of segments.
+ An event published without an explicit topic uses its class `[TOPIC_PROP]` or class name as the topic.
+ Events with topics matching the `bridge` config patterns are also posted to other browser tabs via `AppSync`,
+ they arrive there as `BridgedEvent` instances carrying the topic, source type name and a structured-clone copy of the bag
+*/
+
+import * as types from "./types.js";
+import * as aver from "./aver.js";
+import { Event, EVENT_HANDLER_FUN, EventError } from "./events.js";
+import { Module } from "./modules.js";
+import { AppSync } from "./appsync.js";
+import { LOG_TYPE } from "./log.js";
+
+/** AppSync event type used to bridge bus events between app instances */
+export const SYNC_EVT_TYPE_BUS_EVENT = "bus-event";
+
+/**
+ * Establishes a "default event topic" protocol - an event class may declare a static string topic used
+ * when the event is published without an explicit topic, e.g. `static [TOPIC_PROP] = "cart.changed"`
+ */
+export const TOPIC_PROP = Symbol("topic");
+
+/**
+ * An event received from another app instance (e.g. browser tab) via AppSync bridge
+ */
+export class BridgedEvent extends Event{
+  #topic;
+  #typeName;
+  #origin;
+
+  constructor(sender, topic, typeName, bag, origin){
+    super(sender, bag);
+    this.#topic = aver.isNonEmptyString(topic);
+    this.#typeName = typeName ?? null;
+    this.#origin = origin ?? null;
+  }
+
+  /** Topic which the event was published with */
+  get topic(){ return this.#topic; }
+
+  /** Class name of the original event */
+  get typeName(){ return this.#typeName; }
+
+  /** Instance id of the app which has published the original event, or null */
+  get origin(){ return this.#origin; }
+}
+
+/**
+ * Provides app-wide event routing between modules and UI components.
+ * Subscribers are functions or objects with [EVENT_HANDLER_FUN](Event) function, which subscribe to event
+ * class types (see {@link EventEmitter}) and/or topic patterns. Every subscriber is called once per publish: type subscribers
+ * in the order of specificity first, then topic subscribers in the order of subscription. The processing stops once `event.handled` is set.
+ * Handler errors are logged and do not stop the processing, as publishers do not know their subscribers.
+ * Config: `bridge` - list of topic patterns of events posted to other app instances via {@link AppSync}
+ */
+export class EventBus extends Module{
+  #types = new Map();
+  #topics = [];
+  #bridge;
+  #sync = null;
+
+  constructor(dir, cfg){
+    super(dir, cfg);
+    this.#bridge = cfg.getStringArray("bridge", []).map(one => parseTopic(one));
+  }
+
+  /** Returns an array of topic patterns which are bridged to other app instances */
+  get bridge(){ return this.#bridge.map(one => one.join(".")); }
+
+  /** Returns the number of live subscriptions, purging the ones whose weak listeners are gone */
+  get subscriptionCount(){
+    this.#purge();
+    let result = this.#topics.length;
+    for(const subs of this.#types.values()) result += subs.length;
+    return result;
+  }
+
+  _appAfterLoad(){
+    if (this.#bridge.length === 0) return;
+    const sync = this.app.moduleLinker.tryResolve(AppSync);
+    if (sync === null){
+      this.writeLog(LOG_TYPE.WARNING, `No AppSync module to bridge topics: ${this.bridge.join(", ")}`);
+      return;
+    }
+    if (!sync.addHandler(SYNC_EVT_TYPE_BUS_EVENT, (body) => this.#receive(body))){
+      this.writeLog(LOG_TYPE.WARNING, `AppSync already bridges '${SYNC_EVT_TYPE_BUS_EVENT}' events for another module`);
+      return;
+    }
+    this.#sync = sync;
+  }
+
+  _appBeforeCleanup(){
+    if (this.#sync !== null) this.#sync.removeHandler(SYNC_EVT_TYPE_BUS_EVENT);
+    this.#sync = null;
+    this.#types.clear();
+    this.#topics.length = 0;
+  }
+
+  /**
+   * Subscribes a listener to events of the specified types and/or topic patterns
+   * @param {function|object} listener a function that takes an event or object with [EVENT_HANDLER_FUN](event) function
+   * @param {Iterable<function | string>} targets subscribed-to event class types and/or topic patterns
+   * @returns {boolean} true if at least one was subscribed, false if the listener was already subscribed
+   */
+  subscribe(listener, ...targets){
+    aver.isObjectOrFunction(listener);
+    return this.#subscribe(listener, false, targets);
+  }
+
+  /**
+   * Subscribes an object listener without keeping it alive: the subscription is dropped once the listener
+   * is garbage collected or disposed, so UI components do not need to unsubscribe
+   * @param {object} listener an object with [EVENT_HANDLER_FUN](event) function
+   * @param {Iterable<function | string>} targets subscribed-to event class types and/or topic patterns
+   * @returns {boolean} true if at least one was subscribed, false if the listener was already subscribed
+   */
+  subscribeWeak(listener, ...targets){
+    aver.isObject(listener);
+    aver.isFunction(listener[EVENT_HANDLER_FUN]);
+    return this.#subscribe(listener, true, targets);
+  }
+
+  #subscribe(listener, weak, targets){
+    aver.isTrue(targets.length > 0);
+    let result = false;
+    for(const target of targets){
+      if (types.isString(target)){
+        const pattern = parseTopic(target);
+        const key = pattern.join(".");
+        if (this.#topics.some(one => one.key === key && one.sub.is(listener))) continue;
+        this.#topics.push({key, pattern, sub: new Subscription(listener, weak)});
+        result = true;
+      } else {
+        aver.isFunction(target);
+        if (target !== Event) aver.isSubclassOf(target, Event);
+        let subs = this.#types.get(target);
+        if (subs === undefined){
+          subs = [];
+          this.#types.set(target, subs);
+        }
+        if (subs.some(one => one.is(listener))) continue;
+        subs.push(new Subscription(listener, weak));
+        result = true;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Unsubscribes a listener from the bus
+   * @param {function|object} listener previously subscribed listener
+   * @param {Iterable<function | string>} [targets] event class types and/or topic patterns, all subscriptions of the listener if none
+   * @returns {boolean} true if at least one was found and unsubscribed, otherwise false
+   */
+  unsubscribe(listener, ...targets){
+    aver.isObjectOrFunction(listener);
+    const all = targets.length === 0;
+    const keys = new Set(targets.filter(one => types.isString(one)).map(one => parseTopic(one).join(".")));
+
+    let result = false;
+    for(const [etype, subs] of this.#types){
+      if (!all && !targets.includes(etype)) continue;
+      const idx = subs.findIndex(one => one.is(listener));
+      if (idx < 0) continue;
+      subs.splice(idx, 1);
+      if (subs.length === 0) this.#types.delete(etype);
+      result = true;
+    }
+
+    const count = this.#topics.length;
+    this.#topics = this.#topics.filter(one => !((all || keys.has(one.key)) && one.sub.is(listener)));
+    return result || this.#topics.length !== count;
+  }
+
+  /**
+   * Publishes the event synchronously to all matching subscribers
+   * @param {Event} event to publish
+   * @param {string} [topic] event topic, defaults to the event class `[TOPIC_PROP]` or class name
+   * @returns {boolean} true if publish matched at least one subscriber
+   */
+  publish(event, topic = null){
+    aver.isOf(event, Event);
+    const tseg = parseTopic(topic ?? topicOf(event));
+    const result = this.#dispatch(event, tseg);
+    if (this.#sync !== null && this.#bridge.some(one => matchTopic(one, tseg))) this.#post(event, tseg.join("."));
+    return result;
+  }
+
+  #dispatch(event, tseg){
+    const seen = new Set();
+    const matches = [];
+    for(let etp = types.classOf(event); etp != null; etp = types.parentOfClass(etp)){
+      const subs = this.#types.get(etp);
+      if (subs !== undefined) matches.push(...subs);
+    }
+    for(const one of this.#topics) if (matchTopic(one.pattern, tseg)) matches.push(one.sub);
+
+    let result = false;
+    for(const sub of matches){
+      const listener = sub.listener;
+      if (listener === null || seen.has(listener)) continue;
+      seen.add(listener);
+      result = true;
+      try{
+        if (types.isFunction(listener)) listener.call(this, event);
+        else listener[EVENT_HANDLER_FUN](event);
+      } catch(e) {
+        this.writeLog(LOG_TYPE.ERROR, `Bus handler of '${tseg.join(".")}' leaked: ${e.message}`, e);
+      }
+      if (event.handled) break;
+    }
+    return result;
+  }
+
+  #post(event, topic){
+    try{
+      this.#sync.postEvent(SYNC_EVT_TYPE_BUS_EVENT, {topic, typeName: types.classOf(event).name, bag: event.bag, origin: this.app.instanceId});
+    } catch(e) {
+      this.writeLog(LOG_TYPE.ERROR, `Bridging topic '${topic}' failed: ${e.message}`, e);
+    }
+  }
+
+  #receive(body){
+    const event = new BridgedEvent(this, body.topic, body.typeName, body.bag, body.origin);
+    this.writeLog(LOG_TYPE.TRACE, `Got bridged topic '${event.topic}'`);
+    this.#dispatch(event, parseTopic(event.topic));//not re-posted, so bridged events do not bounce between tabs
+  }
+
+  #purge(){
+    for(const [etype, subs] of this.#types){
+      for(let i = subs.length - 1; i >= 0; i--) if (subs[i].listener === null) subs.splice(i, 1);
+      if (subs.length === 0) this.#types.delete(etype);
+    }
+    this.#topics = this.#topics.filter(one => one.sub.listener !== null);
+  }
+}
+
+/** Holds a listener either strongly or via WeakRef */
+class Subscription{
+  #listener;
+  #weak;
+
+  constructor(listener, weak){
+    this.#weak = weak;
+    this.#listener = weak ? new WeakRef(listener) : listener;
+  }
+
+  /** Returns the listener, or null if a weak listener is collected or disposed */
+  get listener(){
+    if (!this.#weak) return this.#listener;
+    const result = this.#listener.deref();
+    return result === undefined || result[types.DISPOSED_PROP] === true ? null : result;
+  }
+
+  is(listener){ return this.listener === listener; }
+}
+
+function topicOf(event){
+  const etype = types.classOf(event);
+  const topic = etype[TOPIC_PROP];
+  return types.isNonEmptyString(topic) ? topic : etype.name;
+}
+
+function parseTopic(topic){
+  aver.isNonEmptyString(topic);
+  const result = topic.trim().toLowerCase().split(".");
+  if (result.some(one => one.length === 0)) throw new EventError(`Bad topic '${topic}': empty segment`, "parseTopic()");
+  return result;
+}
+
+/** Matches topic pattern segments against topic segments, `*` matches one segment, `**` matches any number of segments */
+function matchTopic(pattern, topic, pi = 0, ti = 0){
+  if (pi === pattern.length) return ti === topic.length;
+  if (pattern[pi] === "**") return matchTopic(pattern, topic, pi + 1, ti) || (ti < topic.length && matchTopic(pattern, topic, pi, ti + 1));
+  if (ti === topic.length) return false;
+  return (pattern[pi] === "*" || pattern[pi] === topic[ti]) && matchTopic(pattern, topic, pi + 1, ti + 1);
+}
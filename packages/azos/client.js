@@ -12,7 +12,7 @@ import * as strings from "./strings.js";
 import * as types from "./types.js";
 import { User, parseJwtToken } from "./security.js";
 import { LOG_TYPE } from "./log.js";
-import { Module } from "./modules.js";
+import { Module, HEALTH_CHECK_METHOD } from "./modules.js";
 
 
 /** Provides uniform base for Client-related exceptions */
@@ -67,6 +67,7 @@ export class IClient extends Module{
   #accessTokenStamp;
   #tokenRefreshSec;
   #defaultTimeoutMs;
+  #healthUri;
 
   constructor(dir, cfg){
     super(dir, cfg);
@@ -84,8 +85,17 @@ export class IClient extends Module{
       this.#accessTokenStamp = Date.now();
     }
 
-    this.#tokenRefreshSec = cfg.getInt("tokenRefreshSec", 600);
-    this.#defaultTimeoutMs = types.keepBetween(cfg.getInt("defaultTimeoutMs", 7935), 0, 5 * 60 * 1000);
+    this.#tokenRefreshSec = types.atMin(Math.round(cfg.getDuration("tokenRefreshSec", 600, "s")), 1);//whole seconds
+    this.#defaultTimeoutMs = types.keepBetween(cfg.getDuration("defaultTimeoutMs", 7935), 0, 5 * 60 * 1000);
+    this.#healthUri = cfg.getString(["healthUri", "healthUrl"], null);
+  }
+
+  /** Re-reads timeouts when config changes at runtime */
+  _appConfigChanged(cfg, evt){
+    super._appConfigChanged(cfg, evt);
+    this.#tokenRefreshSec = types.atMin(Math.round(cfg.getDuration("tokenRefreshSec", 600, "s")), 1);//whole seconds
+    this.#defaultTimeoutMs = types.keepBetween(cfg.getDuration("defaultTimeoutMs", 7935), 0, 5 * 60 * 1000);
+    this.#healthUri = cfg.getString(["healthUri", "healthUrl"], null);
   }
 
   /** Returns root url. It always ends with a trailing forward slash */
@@ -103,6 +113,23 @@ export class IClient extends Module{
   /** Returns default timeout in milliseconds which is applied when no explicit abort signal is passed */
   get defaultTimeoutMs() { return this.#defaultTimeoutMs; }
 
+  /** Returns uri relative to root url which is called by health check or null if remote health is not checked */
+  get healthUri() { return this.#healthUri; }
+
+  /**
+   * Checks remote service reachability by calling `GET healthUri` without auth, expecting a 2xx Http status.
+   * If the `healthUri` is not configured then no call is made
+   */
+  async [HEALTH_CHECK_METHOD](){
+    if (strings.isEmpty(this.#healthUri)) return {rootUrl: this.#rootUrl, checked: false};
+    const abort = this.#defaultTimeoutMs > 0 ? AbortSignal.timeout(this.#defaultTimeoutMs) : null;
+    const request = this._assembleRequest(METHODS.GET, this.#healthUri, null, null, abort);
+    const response = await fetch(request);
+    if (!response.ok)
+      throw new ClientError(`Health check 'GET ${this.#healthUri}' returned Http ${response.status}/${response.statusText}`, `${this.constructor.name}.healthCheck()`, null, response.status);
+    return {rootUrl: this.#rootUrl, checked: true, httpStatus: response.status};
+  }
+
   /**
   * Defines a tuple returned from web calls a vector of (status: int, ctp: string, data: any)
   * @typedef {Object} ResponseTuple
@@ -7,7 +7,7 @@
 import * as types from "./types.js";
 import * as aver from "./aver.js";
 import { Application } from "./application.js";
-import { link } from "./linker.js";
+import { link, LINKER_PROP } from "./linker.js";
 import * as logging from "./log.js";
 
 /**
@@ -40,7 +40,7 @@ export class AppComponent extends types.DisposableObject{
     aver.isOf(app, Application);
     const clist = AppComponent.#appMap.get(app);
     if (clist === undefined) return [];
-    return clist.filter(c => c.director === app);
+    return clist.filter(c => c[types.DIRECTOR_PROP] === app);
   }
 
   #director;
@@ -98,12 +98,29 @@ export class AppComponent extends types.DisposableObject{
   */
   get app(){ return this.isDirectedByApp ? this.#director : this.#director.app; }
 
+  /** Returns the app module linker used to inject dependencies into components directed by this one, see `INJECT_PROP`
+   * @returns {ModuleLinker}
+  */
+  get [LINKER_PROP](){ return this.app.moduleLinker; }
+
   /** Gets an array of components directed by this one
    * @returns {ApplicationComponent[]}
   */
   get directedComponents(){
     const all = AppComponent.getAllApplicationComponents(this.app);
-    return all.filter(c => c.director === this);
+    return all.filter(c => c[types.DIRECTOR_PROP] === this);
+  }
+
+  /**
+   * Called by application when the config section which this component was made from changes at runtime,
+   * see {@link Application.replaceConfig}. Override to reconfigure the component without restarting the app,
+   * calling the base which re-reads the `logLevel`
+   * @param {ConfigNode} cfg new config node of this component
+   * @param {ConfigChangeEvent} evt change event which lists changed config paths
+   */
+  // eslint-disable-next-line no-unused-vars
+  _appConfigChanged(cfg, evt){
+    this.#logLevel = logging.asMsgType(cfg.getString("logLevel"), true);
   }
 
   /**
@@ -126,7 +143,7 @@ export class AppComponent extends types.DisposableObject{
    * Returns log level of this component, or if it is null then from its director
    */
   get effectiveLogLevel(){
-    return this.logLevel ?? this.director.effectiveLogLevel;
+    return this.logLevel ?? this.#director.effectiveLogLevel;
   }
 
   /**
@@ -181,6 +198,6 @@ export class AppComponent extends types.DisposableObject{
    */
   link(map, nsplit = "_"){
     const linker = this.app.moduleLinker;
-    return link(linker, map, nsplit);
+    return link(linker, map, nsplit, this);
   }
 }
@@ -8,6 +8,10 @@ import * as types from "./types.js";
 import * as strings from "./strings.js";
 import { UNKNOWN } from "./coreconsts.js";
 import * as aver from "./aver.js";
+import { CONFIG_SCHEMA_PROP, averValid } from "./confschema.js";
+import { parseLaconic } from "./laconic.js";
+import { Event } from "./events.js";
+import { LINKER_PROP, INJECT_PROP, LinkerError, inject } from "./linker.js";
 /*
  {
    sectionA: {
@@ -26,16 +30,46 @@ import * as aver from "./aver.js";
 /** Regular expression that parses out variables $(var_path) */
 export const REXP_VAR_DECL = /\$\((.*?)\)/g;  // $(path)
 
+/** Prefix of variable references which are resolved by variable providers instead of config paths, e.g. `$(~env:HOME)` */
+export const VAR_PROVIDER_PREFIX = "~";
+
+/** Separates a variable reference from its default value used when the variable is unset, e.g. `$(~env:PORT ?? 8080)` */
+export const VAR_DEFAULT_SEPARATOR = "??";
+
 /** Provides uniform base for Configuration-related exceptions */
 export class ConfigError extends types.AzosError {
   constructor(message, from = null, cause = null){ super(message, from, cause, 517); }
 }
 
+/**
+ * Thrown when config node does not satisfy a schema, contains the list of all
+ * path-qualified errors found
+ */
+export class ConfigValidationError extends ConfigError {
+  #errors;
+  constructor(message, from = null, errors = null){
+    super(message, from);
+    this.#errors = errors ?? [];
+  }
+
+  /** Returns an array of {@link ConfigError} found by validation, their `from` is a config path of the offending value
+   * @returns {ConfigError[]}
+   */
+  get errors(){ return this.#errors; }
+
+  provideExternalStatus(){
+    const status = super.provideExternalStatus();
+    status["errors"] = this.#errors.map(e => ({path: e.from, message: e.message}));
+    return status;
+  }
+}
+
 /** Makes new {@link Configuration} object from the specified content
  * @param {string | object} configuration source
+ * @param {ConfigOptions} [opts] optional configuration options, see {@link Configuration}
  * @returns {Configuration}
 */
-export function config(content){ return new Configuration(content); }
+export function config(content, opts = null){ return new Configuration(content, opts); }
 
 /**
  * Wraps a complex value in config nodes as a verbatim one - without turning objects
@@ -50,31 +84,355 @@ export class Verbatim{
   get value(){ return this.#value;}
 }
 
+/** Text formats which config content may be supplied in */
+export const CONFIG_FORMAT = Object.freeze({
+  JSON:    "json",
+  LACONIC: "laconic"
+});
+const ALL_CONFIG_FORMATS = types.allObjectValues(CONFIG_FORMAT);
+
+/**
+ * Converts value into a valid CONFIG_FORMAT member
+ * @param {*} v string format
+ * @returns {CONFIG_FORMAT} .JSON as default
+ */
+export function asConfigFormat(v){
+  v = strings.asString(v).toLowerCase();
+  if (strings.isOneOf(v, ALL_CONFIG_FORMATS, true)) return v;
+  return CONFIG_FORMAT.JSON;
+}
+
+/**
+ * Parses config content text in the specified format into a content object
+ * @param {string} text content text
+ * @param {CONFIG_FORMAT} [format=CONFIG_FORMAT.JSON] text format
+ * @returns {object} content object
+ */
+export function parseContent(text, format = CONFIG_FORMAT.JSON){
+  aver.isString(text);
+  return asConfigFormat(format) === CONFIG_FORMAT.LACONIC ? parseLaconic(text) : JSON.parse(text);
+}
+
+/** Array merge modes used when config content is overlaid on top of base content */
+export const ARRAY_MERGE = Object.freeze({
+  /** Overlay array replaces the base array (default) */
+  REPLACE: "replace",
+  /** Overlay array elements are appended after the base ones */
+  APPEND:  "append",
+  /** Overlay section elements get merged into base section elements having the same `name`, others are appended */
+  MERGE:   "merge"
+});
+const ALL_ARRAY_MERGES = types.allObjectValues(ARRAY_MERGE);
+
+/**
+ * Converts value into a valid ARRAY_MERGE member
+ * @param {*} v string mode
+ * @returns {ARRAY_MERGE} .REPLACE as default
+ */
+export function asArrayMerge(v){
+  v = strings.asString(v).toLowerCase();
+  if (strings.isOneOf(v, ALL_ARRAY_MERGES, true)) return v;
+  return ARRAY_MERGE.REPLACE;
+}
+
+/**
+ * Special attribute names which are processed as directives when {@link Configuration} is built:
+ * - `$include` - a name or an array of names of content fragments which the section is based on, the section content overlays the includes;
+ * - `$env` - a map of environment name to content which overlays the section for the effective environment name;
+ * - `$delete` - a name or an array of names of attributes to remove from the base content;
+ * - `$merge` - {@link ARRAY_MERGE} mode for arrays of the section, either a string for all arrays or a map of `{attrName: mode}`
+ */
+export const CONFIG_DIRECTIVE = Object.freeze({
+  INCLUDE: "$include",
+  ENV:     "$env",
+  DELETE:  "$delete",
+  MERGE:   "$merge"
+});
+
+/** Attribute names which the environment name is read from the root, same names are used by the Application */
+const ENV_NAME_ATTRS = ["envName", "env", "environment"];
+
+/** Environment name used when none is specified, same default is used by the Application */
+export const DEFAULT_ENV_NAME = "local";
+
+/** Returns true for raw content values which become config sections */
+function isContentSection(v){
+  return types.isObject(v) && !(v instanceof Date) && !(v instanceof Verbatim);
+}
+
+function hasDirectives(section){
+  return types.hown(section, CONFIG_DIRECTIVE.INCLUDE) || types.hown(section, CONFIG_DIRECTIVE.ENV) ||
+         types.hown(section, CONFIG_DIRECTIVE.DELETE)  || types.hown(section, CONFIG_DIRECTIVE.MERGE);
+}
+
+function getArrayMerge(overlay, key, dflt){
+  const mode = overlay[CONFIG_DIRECTIVE.MERGE];
+  if (!types.isAssigned(mode)) return dflt;
+  if (types.isObject(mode)) return types.hown(mode, key) ? asArrayMerge(mode[key]) : dflt;
+  return asArrayMerge(mode);
+}
+
+function mergeArrays(base, overlay, mode, dflt){
+  if (mode === ARRAY_MERGE.APPEND) return base.concat(overlay);
+  if (mode !== ARRAY_MERGE.MERGE) return overlay;
+
+  const result = base.slice();
+  for(const one of overlay){
+    const name = isContentSection(one) ? one.name : undefined;
+    const idx = types.isAssigned(name) ? result.findIndex(e => isContentSection(e) && e.name === name) : -1;
+    if (idx < 0)
+      result.push(one);
+    else
+      result[idx] = mergeContent(result[idx], one, dflt);//nested arrays follow the default mode, not the mode of this array
+  }
+  return result;
+}
+
+/**
+ * Deep-merges raw config content objects returning a new content object, the arguments are not mutated.
+ * Overlay sections are merged into base sections, arrays are merged per {@link ARRAY_MERGE} mode (which may be overridden
+ * in the overlay by `$merge` directive), all other overlay values replace the base ones.
+ * Base attributes listed in overlay `$delete` directive are removed
+ * @param {object} base base content
+ * @param {object} overlay content which overlays the base
+ * @param {ARRAY_MERGE} [arrayMerge=ARRAY_MERGE.REPLACE] default array merge mode
+ * @returns {object} new merged content object
+ */
+export function mergeContent(base, overlay, arrayMerge = ARRAY_MERGE.REPLACE){
+  if (!isContentSection(overlay)) return base;
+  if (!isContentSection(base)) base = {};
+  arrayMerge = asArrayMerge(arrayMerge);
+
+  const result = {...base};
+
+  const del = overlay[CONFIG_DIRECTIVE.DELETE];
+  if (types.isAssigned(del)){
+    for(const one of types.isArray(del) ? del : [del]) delete result[strings.asString(one)];
+  }
+
+  for(const key in overlay){
+    if (key === CONFIG_DIRECTIVE.DELETE || key === CONFIG_DIRECTIVE.MERGE) continue;
+    const ov = overlay[key];
+    const bv = result[key];
+    if (isContentSection(ov) && isContentSection(bv))
+      result[key] = mergeContent(bv, ov, arrayMerge);
+    else if (types.isArray(ov) && types.isArray(bv))
+      result[key] = mergeArrays(bv, ov, getArrayMerge(overlay, key, arrayMerge), arrayMerge);
+    else
+      result[key] = ov;
+  }
+
+  return result;
+}
+
+/**
+ * Compares two raw config content objects returning an array of config paths which differ, e.g. `["/log/level", "/modules/#1"]`.
+ * Sections are compared attribute by attribute and arrays element by element; a value which was added, removed or changed
+ * is reported by its own path
+ * @param {object} a content before the change
+ * @param {object} b content after the change
+ * @returns {string[]} an array of changed paths or empty array if the content is the same
+ */
+export function diffContent(a, b){
+  const changes = [];
+  diffValues(a, b, "/", changes);
+  return changes;
+}
+
+function childContentPath(path, key){ return path === "/" ? `/${key}` : `${path}/${key}`; }
+
+function diffValues(a, b, path, changes){
+  if (isContentSection(a) && isContentSection(b)){
+    for(const key in a) diffValues(a[key], types.hown(b, key) ? b[key] : undefined, childContentPath(path, key), changes);
+    for(const key in b) if (!types.hown(a, key)) changes.push(childContentPath(path, key));
+    return;
+  }
+
+  if (types.isArray(a) && types.isArray(b)){
+    const len = Math.max(a.length, b.length);
+    for(let i = 0; i < len; i++){
+      const ip = childContentPath(path, `#${i}`);
+      if (i >= a.length || i >= b.length) changes.push(ip);
+      else diffValues(a[i], b[i], ip, changes);
+    }
+    return;
+  }
+
+  if (a === b) return;
+  if (a instanceof Date && b instanceof Date && a.getTime() === b.getTime()) return;
+  if (a instanceof Verbatim && b instanceof Verbatim && (a.value === b.value || JSON.stringify(a.value) === JSON.stringify(b.value))) return;
+  changes.push(path);
+}
+
 /**
- * Provides configuration tree navigation and variable evaluation functionality
+ * Processes config directives in raw content returning the same content object when it has no directives
+ * or a new content object with all includes and environment overlays merged
+ */
+function processDirectives(content, ctx){
+  if (types.isArray(content)){
+    let result = content;
+    for(let i = 0; i < content.length; i++){
+      const v = content[i];
+      if (!isContentSection(v) && !types.isArray(v)) continue;
+      const pv = processDirectives(v, ctx);
+      if (pv !== v){
+        if (result === content) result = content.slice();
+        result[i] = pv;
+      }
+    }
+    return result;
+  }
+
+  let result = content;
+  if (hasDirectives(content)){
+    const own = {...content};
+    const inc = own[CONFIG_DIRECTIVE.INCLUDE];
+    const env = own[CONFIG_DIRECTIVE.ENV];
+    delete own[CONFIG_DIRECTIVE.INCLUDE];
+    delete own[CONFIG_DIRECTIVE.ENV];
+
+    let base = {};
+    if (types.isAssigned(inc)){
+      for(const name of types.isArray(inc) ? inc : [inc]) base = mergeContent(base, ctx.include(name), ctx.arrayMerge);
+    }
+
+    result = mergeContent(base, own, ctx.arrayMerge);
+
+    if (isContentSection(env) && !strings.isEmpty(ctx.envName) && types.hown(env, ctx.envName)){
+      result = mergeContent(result, env[ctx.envName], ctx.arrayMerge);
+    }
+  }
+
+  //sub-sections are processed after the merge, so their directives apply to the merged content
+  for(const key in result){
+    const v = result[key];
+    if (!isContentSection(v) && !types.isArray(v)) continue;
+    const pv = processDirectives(v, ctx);
+    if (pv !== v){
+      if (result === content) result = {...content};
+      result[key] = pv;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Variable providers which are available in every configuration:
+ * - `env` - process environment variables on node, e.g. `$(~env:HOME)`;
+ * - `win` - browser `window` object dot-delimited paths, e.g. `$(~win:location.host)`;
+ * - `meta` - browser document `&lt;meta name="x" content="value"&gt;` tag contents by name, e.g. `$(~meta:api-url)`
+ */
+export const DEFAULT_VAR_PROVIDERS = Object.freeze({
+  env:  (name) => typeof(process) !== "undefined" && process.env ? process.env[name] : undefined,
+  win:  (name) => typeof(window) !== "undefined" ? types.nav(window, name).result : undefined,
+  meta: (name) => {
+    if (typeof(document) === "undefined") return undefined;
+    const elm = document.querySelector(`meta[name="${name}"]`);
+    return elm ? elm.getAttribute("content") : undefined;
+  }
+});
+
+/**
+ * Provides options for {@link Configuration} construction
+ * @typedef {Object} ConfigOptions
+ * @property {string} [envName] environment name used to select `$env` overlays; when not set then it is read from the root `envName|env|environment` attribute,
+ * which may reference variables, defaulting to {@link DEFAULT_ENV_NAME}
+ * @property {CONFIG_FORMAT} [format] text format of string content and includes, JSON is used by default
+ * @property {object | Function} [includes] map of `{name: content}` or a function `(name) => content` which supplies content for `$include` directive. Content is either an object or a string in the config `format`
+ * @property {ARRAY_MERGE} [arrayMerge] default array merge mode, REPLACE is used by default
+ * @property {object} [vars] a map of `{providerName: provider}` where provider is either a function `(name) => value` or an object
+ * which values are navigated by dot-delimited names. These providers supplement (and may override) {@link DEFAULT_VAR_PROVIDERS}
+ */
+
+/**
+ * Provides options for config content export
+ * @typedef {Object} ConfigExportOptions
+ * @property {boolean} [evaluate] true to export evaluated values with all `$(var)` references resolved, false by default which exports raw values
+ * @property {boolean} [verbatim] true to wrap complex values which were supplied as {@link Verbatim} into `Verbatim` again, so exported object can be used to build an equivalent config
+ * @property {Function} [typeName] a function `(type) => string` which converts function values (such as `type` references) into names, registered type moniker or class name is used by default
+ */
+
+/**
+ * Provides configuration tree navigation and variable evaluation functionality.
+ * The content gets pre-processed for {@link CONFIG_DIRECTIVE} directives which allow to compose the
+ * final content out of included fragments and environment-specific overlays.
+ * Variables are referenced as `$(path)` to other config values or as `$(~provider:name)` to values supplied
+ * by variable providers, either of them may specify a default value as `$(~env:PORT ?? 8080)`
  */
 export class Configuration{
 
   #content;
   #root;
+  #vars;
+  #opts;
 
-  constructor(content){
+  /**
+   * Builds a configuration out of the supplied content
+   * @param {string | object} content content object or a string in the `format` specified by options (JSON by default)
+   * @param {ConfigOptions} [opts] optional configuration options
+   */
+  constructor(content, opts = null){
     try{
       aver.isNotNull(content);
+      opts = opts ?? {};
       if (types.isString(content)){
-        content = JSON.parse(content);
+        content = parseContent(content, opts.format);
       }
       aver.isObject(content);
     }catch(e){
       throw new ConfigError(`Bad configuration init content: ${e.message}`, "Config.ctor()", e);
     }
 
+    this.#opts = opts;
+    if (types.isAssigned(opts.vars)){
+      aver.isObject(opts.vars);
+      this.#vars = {...DEFAULT_VAR_PROVIDERS, ...opts.vars};
+    } else this.#vars = DEFAULT_VAR_PROVIDERS;
+
+    content = Configuration.#processDirectives(content, opts, this.#getEnvName(content, opts));
+
     this.#content = content;
     this.#root = new ConfigNode(this, null, "/", content);
   }
 
+  /** Returns the environment name which selects `$env` overlays; the root attribute is evaluated, as the app does, so it may reference variables */
+  #getEnvName(content, opts){
+    if (types.isAssigned(opts.envName)) return strings.asString(opts.envName);
+    const raw = ENV_NAME_ATTRS.map(one => content[one]).find(one => types.isAssigned(one));
+    if (!types.isAssigned(raw)) return DEFAULT_ENV_NAME;
+    if (!types.isString(raw) || raw.indexOf("$(") < 0) return strings.asString(raw);
+    return new ConfigNode(this, null, "/", content).getString(ENV_NAME_ATTRS, DEFAULT_ENV_NAME);
+  }
+
+  static #processDirectives(content, opts, envName){
+    const includes = opts.includes ?? null;
+    const stack = [];
+    const ctx = {
+      envName,
+      arrayMerge: asArrayMerge(opts.arrayMerge),
+      include: (name) => {
+        name = strings.asString(name);
+        if (stack.indexOf(name) >= 0) throw new ConfigError(`Recursive config include '${name}' via '${stack.join(" -> ")}'`, "Config.include()");
+        let inc = types.isFunction(includes) ? includes(name) : (types.isObject(includes) && types.hown(includes, name) ? includes[name] : undefined);
+        if (!types.isAssigned(inc)) throw new ConfigError(`Unknown config include '${name}'`, "Config.include()");
+        try{
+          if (types.isString(inc)) inc = parseContent(inc, opts.format);
+          aver.isObject(inc);
+        }catch(e){
+          throw new ConfigError(`Bad config include '${name}' content: ${e.message}`, "Config.include()", e);
+        }
+        stack.push(name);
+        try{ return processDirectives(inc, ctx); }
+        finally{ stack.pop(); }
+      }
+    };
+
+    return processDirectives(content, ctx);
+  }
+
   /**
-   * Returns a raw content object which this config was built from
+   * Returns a raw content object which this config was built from, with all directives processed
    * @returns {objectMap}
    */
   get content(){ return this.#content; }
@@ -84,6 +442,119 @@ export class Configuration{
    * @returns {ConfigNode}
    */
   get root(){ return this.#root; }
+
+  /**
+   * Returns options which this config was built with, used to build derived configs such as patched ones
+   * @returns {ConfigOptions}
+   */
+  get options(){ return this.#opts; }
+
+  /**
+   * Exports this configuration content as a plain object, see {@link ConfigNode.toObject}
+   * @param {ConfigExportOptions} [opts] optional export options
+   * @returns {object}
+   */
+  toObject(opts = null){ return this.#root.toObject(opts); }
+
+  /**
+   * Exports this configuration content as a JSON string, see {@link ConfigNode.toJson}
+   * @param {ConfigExportOptions} [opts] optional export options
+   * @param {string | int} [space] optional JSON indentation
+   * @returns {string}
+   */
+  toJson(opts = null, space = undefined){ return this.#root.toJson(opts, space); }
+
+  /** Supports `JSON.stringify()` protocol by exporting raw content */
+  toJSON(){ return this.#root.toObject(); }
+
+  /**
+   * Builds a new configuration by overlaying the content of this one with the patch content, see {@link mergeContent}.
+   * This configuration is not changed; the new one is built with the same {@link ConfigOptions}: variable providers,
+   * environment name and includes
+   * @param {object | string} content patch content object or a string in the config `format`, may use `$delete` and `$merge` directives, as well as `$include` and `$env`
+   * @param {ARRAY_MERGE} [arrayMerge=ARRAY_MERGE.REPLACE] default array merge mode
+   * @returns {Configuration} a new patched configuration
+   */
+  patch(content, arrayMerge = ARRAY_MERGE.REPLACE){
+    try{
+      aver.isNotNull(content);
+      if (types.isString(content)) content = parseContent(content, this.#opts.format);
+      aver.isObject(content);
+    }catch(e){
+      throw new ConfigError(`Bad configuration patch content: ${e.message}`, "Config.patch()", e);
+    }
+    return new Configuration(mergeContent(this.#content, content, arrayMerge), this.#opts);
+  }
+
+  /**
+   * Resolves a provider variable reference of a form `~provider:name` returning its value
+   * or undefined if the provider does not have such variable
+   * @param {string} ref variable reference, e.g. `~env:HOME`
+   * @returns {*} variable value or undefined
+   */
+  resolveVar(ref){
+    aver.isString(ref);
+    const i = ref.indexOf(":");
+    if (!ref.startsWith(VAR_PROVIDER_PREFIX) || i < 0)
+      throw new ConfigError(`Bad variable provider reference '${ref}', expecting '${VAR_PROVIDER_PREFIX}provider:name'`, "resolveVar()");
+
+    const pname = strings.trim(ref.slice(VAR_PROVIDER_PREFIX.length, i));
+    const name = strings.trim(ref.slice(i + 1));
+    const provider = types.hown(this.#vars, pname) ? this.#vars[pname] : undefined;
+    if (!types.isAssigned(provider)) throw new ConfigError(`Unknown variable provider '${pname}' in '${ref}'`, "resolveVar()");
+
+    try{
+      return types.isFunction(provider) ? provider(name) : types.nav(provider, name).result;
+    }catch(e){
+      throw new ConfigError(`Variable provider '${pname}' error resolving '${name}': ${e.message}`, "resolveVar()", e);
+    }
+  }
+}
+
+/**
+ * Event emitted when a running configuration gets replaced or patched.
+ * The event lists paths of changed values, so subscribers can check whether the config sections they depend on are affected
+ */
+export class ConfigChangeEvent extends Event{
+  #oldConfig;
+  #newConfig;
+  #changes;
+
+  /**
+   * @param {object} sender the party which changed the config, such as an app
+   * @param {Configuration} oldConfig configuration before the change
+   * @param {Configuration} newConfig configuration after the change
+   * @param {string[]} [changes] changed paths, computed by {@link diffContent} when not supplied
+   */
+  constructor(sender, oldConfig, newConfig, changes = null){
+    super(sender);
+    this.#oldConfig = aver.isOf(oldConfig, Configuration);
+    this.#newConfig = aver.isOf(newConfig, Configuration);
+    this.#changes = Object.freeze(changes ?? diffContent(oldConfig.content, newConfig.content));
+  }
+
+  /** Returns configuration before the change @returns {Configuration} */
+  get oldConfig(){ return this.#oldConfig; }
+
+  /** Returns configuration after the change @returns {Configuration} */
+  get newConfig(){ return this.#newConfig; }
+
+  /** Returns a frozen array of changed config paths @returns {string[]} */
+  get changes(){ return this.#changes; }
+
+  /**
+   * Returns true when the node at the specified path was affected by the change: either the node itself,
+   * any of its descendants or any of its ancestors changed
+   * @param {string | ConfigNode} path config path, e.g. `/modules/#0`, or a config node
+   * @returns {boolean}
+   */
+  isAffected(path){
+    if (path instanceof ConfigNode) path = path.path;
+    path = strings.trim(strings.asString(path));
+    if (path === "" || path === "/") return this.#changes.length > 0;
+    while(path.length > 1 && path.endsWith("/")) path = path.slice(0, -1);
+    return this.#changes.some(one => one === path || one.startsWith(path + "/") || path.startsWith(one + "/"));
+  }
 }
 
 /**
@@ -252,10 +723,19 @@ export class ConfigNode{
             path = path.slice(3);
             return `$(${path})`;
           }
+
+          let dflt = undefined;
+          const di = path.indexOf(VAR_DEFAULT_SEPARATOR);
+          if (di >= 0){
+            dflt = strings.trim(path.slice(di + VAR_DEFAULT_SEPARATOR.length));
+            path = strings.trim(path.slice(0, di));
+          }
+
           if (stack.has(path)) throw new ConfigError(`ConfigNode('${stack._path}') can not evaluate '${stack._val}' due to recursive ref to path '${path}' at ref level ${stack._level}`, "evaluate()");
           try{
             stack.add(path);
-            return this.nav(path);
+            const got = path.startsWith(VAR_PROVIDER_PREFIX) ? this.evaluate(this.configuration.resolveVar(path)) : this.nav(path);
+            return dflt !== undefined && (got === undefined || got === null) ? dflt : got;
           }finally{
             stack.delete(path);
           }
@@ -269,6 +749,47 @@ export class ConfigNode{
     }
   }
 
+  /**
+   * Exports this node (with all of its sub-nodes) as a plain object or array which can be used to build an equivalent configuration.
+   * Function values (e.g. `type` references) are exported as type names.
+   * Complex values which were wrapped in {@link Verbatim} are exported as-is, unless `verbatim` option is set, then they get wrapped in `Verbatim` again
+   * @param {ConfigExportOptions} [opts] optional export options
+   * @returns {object | Array}
+   */
+  toObject(opts = null){
+    opts = opts ?? {};
+    const evaluate = types.asBool(opts.evaluate);
+    const exportValue = (v) => {
+      if (v instanceof ConfigNode) return v.toObject(opts);
+      if (types.isFunction(v)) return types.isFunction(opts.typeName) ? opts.typeName(v) : (getTypeMoniker(v) ?? v.name);
+      if (types.isObjectOrArray(v) && !(v instanceof Date)) return opts.verbatim ? new Verbatim(v) : v; //was wrapped in Verbatim
+      return v;
+    };
+
+    if (this.isArray){
+      const result = [];
+      for(let i = 0; i < this.#value.length; i++) result.push(exportValue(evaluate ? this.get(i) : this.#value[i]));
+      return result;
+    }
+
+    const result = {};
+    for(const key in this.#value) result[key] = exportValue(evaluate ? this.get(key) : this.#value[key]);
+    return result;
+  }
+
+  /**
+   * Exports this node as a JSON string, see {@link toObject}
+   * @param {ConfigExportOptions} [opts] optional export options; the `verbatim` option is ignored
+   * @param {string | int} [space] optional JSON indentation
+   * @returns {string}
+   */
+  toJson(opts = null, space = undefined){
+    return JSON.stringify(this.toObject({...opts, verbatim: false}), null, space);
+  }
+
+  /** Supports `JSON.stringify()` protocol by exporting raw node content */
+  toJSON(){ return this.toObject(); }
+
   //#region Getters
   /**
    * Returns child element by the first matching name for map or index for an array.
@@ -422,9 +943,282 @@ export class ConfigNode{
     try{ return types.asDate(got, false); }
     catch{ return dflt; }
   }
+
+  /**
+   * Tries to read an array of strings coalescing attribute names until a named attribute is found.
+   * The value is either a config array of scalars, or a string delimited by any of the `delimiters`, e.g. `"a, b; c"`.
+   * Elements are trimmed and empty ones are skipped. If the attribute is not found or value can not be read as
+   * a string array, returns optional dflt.
+   * Please note, the dflt value may be of any type
+   * @param {string | string[]} names a single string name, or an array of string attribute names to coalesce the value from
+   * @param {*} dflt optional default
+   * @param {string} [delimiters=",;"] characters which delimit elements in string values
+   * @returns {string[]}
+   */
+  getStringArray(names, dflt, delimiters = ",;"){
+    if (names === undefined || names===null) return dflt;
+    const got = types.isArray(names) ? this.get(...names) : this.get(names);
+    if (got === undefined || got === null) return dflt;
+
+    let result;
+    if (got instanceof ConfigNode){
+      if (!got.isArray) return dflt;
+      result = [];
+      for(let i = 0; i < got.count; i++){
+        const one = got.get(i);
+        if (one instanceof ConfigNode) return dflt;
+        result.push(strings.asString(one));
+      }
+    } else if (types.isString(got)){
+      result = [];
+      let segment = "";
+      for(const c of got){
+        if (delimiters.indexOf(c) >= 0){
+          result.push(segment);
+          segment = "";
+        } else segment += c;
+      }
+      result.push(segment);
+    } else result = [strings.asString(got)];
+
+    return result.map(one => strings.trim(one)).filter(one => one.length > 0);
+  }
+
+  /**
+   * Tries to read an array of integers coalescing attribute names until a named attribute is found.
+   * The value is either a config array or a delimited string, see {@link getStringArray}.
+   * If the attribute is not found or any element can not be read as an int, returns optional dflt.
+   * Please note, the dflt value may be of any type
+   * @param {string | string[]} names a single string name, or an array of string attribute names to coalesce the value from
+   * @param {*} dflt optional default
+   * @param {string} [delimiters=",;"] characters which delimit elements in string values
+   * @returns {int[]}
+   */
+  getIntArray(names, dflt, delimiters = ",;"){
+    const got = this.getStringArray(names, undefined, delimiters);
+    if (got === undefined) return dflt;
+    try{ return got.map(one => types.asInt(one, false)); }
+    catch{ return dflt; }
+  }
+
+  /**
+   * Tries to read an enumerated value coalescing attribute names until a named attribute is found.
+   * The value is matched case-insensitively against the allowed values and the canonical allowed value is returned,
+   * e.g. `"warning"` is returned as `LOG_TYPE.WARNING`.
+   * If the attribute is not found or value is not one of the allowed values, returns optional dflt.
+   * Please note, the dflt value may be of any type
+   * @param {string | string[]} names a single string name, or an array of string attribute names to coalesce the value from
+   * @param {object | Array} values a frozen object like `LOG_TYPE` whose values are allowed, or an array of allowed values
+   * @param {*} dflt optional default
+   */
+  getEnum(names, values, dflt){
+    aver.isObjectOrArray(values);
+    if (names === undefined || names===null) return dflt;
+    const got = types.isArray(names) ? this.get(...names) : this.get(names);
+    if (got === undefined || got === null || got instanceof ConfigNode) return dflt;
+    const sgot = strings.trim(strings.asString(got)).toLowerCase();
+    const all = types.isArray(values) ? values : types.allObjectValues(values);
+    const found = all.find(one => strings.asString(one).toLowerCase() === sgot);
+    return found === undefined ? dflt : found;
+  }
+
+  /**
+   * Tries to read a time span coalescing attribute names until a named attribute is found.
+   * The value is either a number expressed in `unit`, or a string with unit suffixes, e.g. `"250ms"`, `"5s"`, `"10m"`, `"1h 30m"`, `"1.5d"`,
+   * see {@link parseDuration}. The result is expressed in `unit`, e.g. `getDuration("timeoutSec", 30, "s")` returns 300 for `"5m"`.
+   * If the attribute is not found or value can not be read as a duration, returns optional dflt.
+   * Please note, the dflt value may be of any type
+   * @param {string | string[]} names a single string name, or an array of string attribute names to coalesce the value from
+   * @param {*} dflt optional default
+   * @param {string} [unit="ms"] unit of the result and of unsuffixed numbers: `ms`, `s`, `m`, `h` or `d`
+   * @returns {number}
+   */
+  getDuration(names, dflt, unit = "ms"){
+    if (names === undefined || names===null) return dflt;
+    const got = types.isArray(names) ? this.get(...names) : this.get(names);
+    if (got === undefined || got === null) return dflt;
+    try{ return parseDuration(got, unit); }
+    catch{ return dflt; }
+  }
+
+  /**
+   * Tries to read a byte size coalescing attribute names until a named attribute is found.
+   * The value is either a number of bytes or a string with unit suffix, e.g. `"512kb"`, `"1.5 MB"`, `"2g"`, see {@link parseByteSize}.
+   * If the attribute is not found or value can not be read as a byte size, returns optional dflt.
+   * Please note, the dflt value may be of any type
+   * @param {string | string[]} names a single string name, or an array of string attribute names to coalesce the value from
+   * @param {*} dflt optional default
+   * @returns {int} number of bytes
+   */
+  getByteSize(names, dflt){
+    if (names === undefined || names===null) return dflt;
+    const got = types.isArray(names) ? this.get(...names) : this.get(names);
+    if (got === undefined || got === null) return dflt;
+    try{ return parseByteSize(got); }
+    catch{ return dflt; }
+  }
+
+  /**
+   * Tries to read an absolute URI coalescing attribute names until a named attribute is found.
+   * Relative values are resolved against the optional `base`.
+   * If the attribute is not found or value can not be read as a valid URI, returns optional dflt.
+   * Please note, the dflt value may be of any type
+   * @param {string | string[]} names a single string name, or an array of string attribute names to coalesce the value from
+   * @param {*} dflt optional default
+   * @param {string | URL} [base] optional base URI which relative values are resolved against
+   * @returns {string} normalized absolute URI string
+   */
+  getUri(names, dflt, base = undefined){
+    if (names === undefined || names===null) return dflt;
+    const got = types.isArray(names) ? this.get(...names) : this.get(names);
+    if (got === undefined || got === null || got instanceof ConfigNode) return dflt;
+    const sgot = strings.trim(strings.asString(got));
+    if (sgot.length === 0) return dflt;
+    try{ return new URL(sgot, base ?? undefined).href; }
+    catch{ return dflt; }
+  }
   //#endregion
 }
 
+/** Time span units in milliseconds */
+const DURATION_UNITS = Object.freeze({
+  ms: 1,
+  s: 1000, sec: 1000,
+  m: 60_000, min: 60_000,
+  h: 3_600_000, hr: 3_600_000,
+  d: 86_400_000, day: 86_400_000
+});
+
+/** Byte size units, 1024-based */
+const BYTE_SIZE_UNITS = Object.freeze({
+  "": 1, b: 1,
+  k: 1024, kb: 1024, kib: 1024,
+  m: 1024 ** 2, mb: 1024 ** 2, mib: 1024 ** 2,
+  g: 1024 ** 3, gb: 1024 ** 3, gib: 1024 ** 3,
+  t: 1024 ** 4, tb: 1024 ** 4, tib: 1024 ** 4
+});
+
+const REXP_NUMBER = /^[-+]?(?:\d+(?:\.\d+)?|\.\d+)$/;
+const REXP_DURATION_TERM = /^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]+)\s*/;
+const REXP_BYTE_SIZE = /^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/;
+
+/**
+ * Parses a time span value, such as `"250ms"`, `"5s"`, `"10m"`, `"1h 30m"` or `"1.5d"`, expressing it in the specified unit.
+ * Numbers and unsuffixed numeric strings are considered to already be expressed in `unit`.
+ * Supported units: `ms`, `s|sec`, `m|min`, `h|hr`, `d|day`
+ * @param {number | string} v value to parse
+ * @param {string} [unit="ms"] unit of the result and of unsuffixed numbers
+ * @returns {number} time span expressed in `unit`
+ */
+export function parseDuration(v, unit = "ms"){
+  const div = types.hown(DURATION_UNITS, unit) ? DURATION_UNITS[unit] : undefined;
+  if (div === undefined) throw new ConfigError(`Unknown duration unit '${unit}'`, "parseDuration()");
+  if (types.isNumber(v)) return v;
+
+  let rest = strings.trim(strings.asString(v)).toLowerCase();
+  if (REXP_NUMBER.test(rest)) return Number(rest);
+
+  let ms = 0;
+  let terms = 0;
+  while(rest.length > 0){
+    const match = REXP_DURATION_TERM.exec(rest);
+    const mul = match !== null && types.hown(DURATION_UNITS, match[2]) ? DURATION_UNITS[match[2]] : undefined;
+    if (mul === undefined) throw new ConfigError(`Bad duration ${strings.describe(v)}, expecting e.g. '250ms', '5s', '10m', '1h 30m'`, "parseDuration()");
+    ms += Number(match[1]) * mul;
+    rest = rest.slice(match[0].length);
+    terms++;
+  }
+  if (terms === 0) throw new ConfigError("Bad duration: empty value", "parseDuration()");
+  return ms / div;
+}
+
+/**
+ * Parses a byte size value, such as `1024`, `"512kb"`, `"1.5 MB"` or `"2g"`, into a number of bytes.
+ * Units are 1024-based: `b`, `k|kb|kib`, `m|mb|mib`, `g|gb|gib`, `t|tb|tib`
+ * @param {number | string} v value to parse
+ * @returns {int} number of bytes
+ */
+export function parseByteSize(v){
+  if (types.isNumber(v)) return Math.round(v);
+  const match = REXP_BYTE_SIZE.exec(strings.trim(strings.asString(v)).toLowerCase());
+  const mul = match !== null && types.hown(BYTE_SIZE_UNITS, match[2]) ? BYTE_SIZE_UNITS[match[2]] : undefined;
+  if (mul === undefined) throw new ConfigError(`Bad byte size ${strings.describe(v)}, expecting e.g. '1024', '512kb', '1.5mb'`, "parseByteSize()");
+  return Math.round(Number(match[1]) * mul);
+}
+
+/** Type monikers are `[namespace.]Name[@version]`, e.g. `ConLog`, `azos.log.ConLog` or `myapp.Greeter@2` */
+const REXP_TYPE_MONIKER = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(?:@[\w.-]+)?$/;
+
+const TYPE_REGISTRY = new Map();// moniker -> type
+
+/**
+ * Registers a class function under a string moniker so configs can reference it by name in `type` attributes,
+ * which keeps config content serializable, e.g. loadable from JSON files.
+ * The moniker has a form of `[namespace.]Name[@version]`, e.g. `myapp.log.FileLog@2`, and is case-sensitive.
+ * Registering the same type under the same moniker again is a no-op
+ * @param {Function} type class function to register
+ * @param {string} [moniker] moniker to register the type under; the class name is used by default
+ * @returns {string} the moniker the type was registered under
+ */
+export function registerType(type, moniker = null){
+  aver.isFunction(type);
+  moniker = strings.isEmpty(moniker) ? type.name : strings.trim(moniker);
+  if (!REXP_TYPE_MONIKER.test(moniker)) throw new ConfigError(`Bad type moniker '${moniker}', expecting '[namespace.]Name[@version]'`, "registerType()");
+
+  const existing = TYPE_REGISTRY.get(moniker);
+  if (existing !== undefined && existing !== type)
+    throw new ConfigError(`Type moniker '${moniker}' is already registered for type '${existing.name}'`, "registerType()");
+
+  TYPE_REGISTRY.set(moniker, type);
+  return moniker;
+}
+
+/**
+ * Removes the type registration by its moniker
+ * @param {string} moniker type moniker
+ * @returns {boolean} true if the registration was found and removed
+ */
+export function unregisterType(moniker){
+  return TYPE_REGISTRY.delete(strings.trim(moniker));
+}
+
+/**
+ * Returns a moniker the type was registered under or null if the type is not registered.
+ * If the type is registered under multiple monikers, the first one is returned
+ * @param {Function} type class function
+ * @returns {string | null}
+ */
+export function getTypeMoniker(type){
+  for(const [moniker, t] of TYPE_REGISTRY) if (t === type) return moniker;
+  return null;
+}
+
+/**
+ * Resolves a registered type by its moniker, optionally restricting it to subtypes of the specified base.
+ * Throws {@link ConfigError} when the moniker is not registered or the type does not derive from `base`
+ * @param {string} moniker type moniker as registered by {@link registerType}
+ * @param {Function | null} [base] optional base class function which the resolved type must be or derive from
+ * @returns {Function} resolved class function
+ */
+export function resolveType(moniker, base = null){
+  aver.isString(moniker);
+  moniker = strings.trim(moniker);
+  const type = TYPE_REGISTRY.get(moniker);
+  if (type === undefined){
+    const name = moniker.split("@")[0].split(".").pop();
+    const similar = [...TYPE_REGISTRY.keys()].filter(one => one.split("@")[0].split(".").pop() === name);
+    const hint = similar.length > 0 ? ` Did you mean: ${similar.join(", ")}?` : "";
+    throw new ConfigError(`Unknown type moniker '${moniker}'.${hint}`, "resolveType()");
+  }
+
+  if (types.isAssigned(base)){
+    aver.isFunction(base);
+    if (type !== base && !types.isSubclassOf(type, base))
+      throw new ConfigError(`Type moniker '${moniker}' resolves to type '${type.name}' which is not of expected base '${base.name}'`, "resolveType()");
+  }
+  return type;
+}
+
 /**
  * Makes and configures an instance of the specified type using one of the convention ctor signatures.
  * The type is specified using either a config node with `type` attribute or passed directly in place of config node.
@@ -432,6 +1226,11 @@ export class ConfigNode{
  * If `cfg` is a {@link ConfigNode} instance, then it gets passed as a second ctor param.
  * If `cargs` array is passed, it must be an array which gets concatenated after the above params.
  * If the `cfg` is config node, then the type is read from `type` property, if not specified then defaulted from `tdflt` param.
+ * The `type` property may also be a string moniker of a type registered with {@link registerType}.
+ * If the type declares a config schema via static `CONFIG_SCHEMA_PROP` then the config node is validated before the instance is constructed,
+ * unless `validated` is true.
+ * If the type declares dependencies via static `INJECT_PROP` then they are injected right after construction using the linker
+ * provided by the director via `LINKER_PROP`; a {@link LinkerError} listing all unresolved dependencies is thrown otherwise.
  * You can also pass class type directly into `cfg`.
  * @returns Newly constructed instance of the specified type
  * @param {Function} base class function for base interface which the allocated instance must derive from
@@ -439,9 +1238,11 @@ export class ConfigNode{
  * @param {object | null} dir  director of the type being created or null if the type does not support director
  * @param {Function | null} tdflt default type to use when the `type` attribute is not specified
  * @param {object[] | null} cargs optional extra arguments to pass to .ctor
+ * @param {boolean} [validated=false] pass true when the config node has already been validated against the type schema, so it is not validated again
  */
-export function makeNew(base, cfg, dir = null, tdflt = null, cargs = null){
+export function makeNew(base, cfg, dir = null, tdflt = null, cargs = null, validated = false){
   let argDescr = "...";
+  let result;
   try{
     aver.isNotNull(cfg);
     aver.isFunction(base);
@@ -455,7 +1256,10 @@ export function makeNew(base, cfg, dir = null, tdflt = null, cargs = null){
     let type = cfg;//.ctor fun
     if (isNode){
       type = cfg.get("type") ?? tdflt;
+      if (types.isString(type)) type = resolveType(type, base);
       if (!types.isFunction(type)) throw new ConfigError(`target cls was not supplied as 'type' conf attr and 'tdflt' param was not passed`);
+      const schema = type[CONFIG_SCHEMA_PROP];
+      if (!validated && types.isAssigned(schema)) averValid(cfg, schema, "makeNew()");
     }
 
     let args = [null];//dummy 'this'
@@ -466,10 +1270,23 @@ export function makeNew(base, cfg, dir = null, tdflt = null, cargs = null){
       args = args.concat(cargs);
     }
 
-    const result = new (Function.prototype.bind.apply(type, args)); // see Reflect.construct
+    result = new (Function.prototype.bind.apply(type, args)); // see Reflect.construct
     if (!(result instanceof base)) throw new ConfigError(`instance of type '${type.name}' is not of expected base '${base.name}'`);
-    return result;
   }catch(e){
     throw new ConfigError(`Factory "makeNew(${base.name ?? UNKNOWN}, ${argDescr})" error: ${e.message}`, "makeNew()", e);
   }
+
+  if (types.isAssigned(types.classOf(result)[INJECT_PROP])){
+    try{
+      const linker = dir !== undefined && dir !== null ? dir[LINKER_PROP] : undefined;
+      if (!types.isAssigned(linker))
+        throw new LinkerError(`Type '${types.classOf(result).name}' declares injected dependencies, but its director does not provide a linker`, "makeNew()");
+      inject(linker, result);
+    } catch(e) {
+      types.dispose(result);
+      throw e;
+    }
+  }
+
+  return result;
 }
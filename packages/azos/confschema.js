@@ -0,0 +1,225 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+import * as types from "./types.js";
+import * as strings from "./strings.js";
+import * as aver from "./aver.js";
+import { ConfigError, ConfigValidationError, ConfigNode, Configuration } from "./conf.js";
+
+/*
+ Schema example:
+ {
+   url:      {type: "str", required: true, names: ["url", "rootUrl"]},
+   timeoutMs:{type: "int", min: 0, max: 300_000},
+   mode:     {values: ["fast", "slow"]},
+   options:  {type: "object", strict: true, schema: { retries: {type: "int"} }},
+   hosts:    {type: "array", min: 1, of: {type: "str"}},
+ }
+*/
+
+/**
+ * Establishes a "config schema" protocol - a class which implements such static property returns its
+ * {@link ConfigSchema} or a plain schema definition map which is used to validate the config node
+ * before an instance of the class is constructed by `makeNew()`
+ */
+export const CONFIG_SCHEMA_PROP = Symbol("configSchema");
+
+/**
+ * Defines a single config attribute or section
+ * @typedef {Object} ConfigAttrDef
+ * @property {TYPE_MONIKER} [type] expected value type, `str` is used by default. Use `object` for sub-sections and `array` for arrays
+ * @property {boolean} [required] true when the value must be specified
+ * @property {string[]} [names] optional alternate names coalesced from left to right, the same way as `ConfigNode.get(...names)` does
+ * @property {number | Date} [min] min value for numbers and dates, min length for strings and min count for arrays
+ * @property {number | Date} [max] max value for numbers and dates, max length for strings and max count for arrays
+ * @property {Array} [values] an array of allowed values, or a frozen object like `LOG_TYPE` whose values are allowed
+ * @property {RegExp} [pattern] regular expression which string values must match
+ * @property {object | ConfigSchema} [schema] sub-section schema for `object` types
+ * @property {boolean} [strict] for `object` types - true to report attributes which are not declared in schema
+ * @property {ConfigAttrDef} [of] element definition for `array` types
+ */
+
+/**
+ * Describes a set of attributes and sub-sections expected in a config section.
+ * The schema is used to detect misspelled, missing and wrongly typed config values up front
+ * instead of silently falling back to defaults at runtime
+ */
+export class ConfigSchema{
+  #attrs;
+  #strict;
+
+  /**
+   * Creates a schema out of a definition map
+   * @param {object} attrs a map of `{attrName: ConfigAttrDef}`
+   * @param {boolean} [strict=false] true to report attributes which are not declared in the schema; the `type` attribute is always allowed
+   */
+  constructor(attrs, strict = false){
+    aver.isObject(attrs);
+    for(const name in attrs) aver.isObject(attrs[name]);
+    this.#attrs = attrs;
+    this.#strict = types.asBool(strict);
+  }
+
+  /** Returns attribute definition map */
+  get attrs(){ return this.#attrs; }
+
+  /** Returns true when undeclared attributes are reported as errors */
+  get strict(){ return this.#strict; }
+
+  /**
+   * Validates the specified config section node against this schema
+   * @param {ConfigNode} node config section to validate
+   * @param {ConfigError[]} [errors] optional array to add errors to
+   * @returns {ConfigError[]} an array of errors or empty array when config is valid
+   */
+  validate(node, errors = null){
+    aver.isOf(node, ConfigNode);
+    errors = errors ?? [];
+
+    if (!node.isSection){
+      errors.push(new ConfigError("Expected a section but got an array", node.path));
+      return errors;
+    }
+
+    const known = new Set(["type"]);
+    for(const name in this.#attrs){
+      const def = this.#attrs[name];
+      const names = types.isArray(def.names) ? def.names : [name];
+      for(const one of names) known.add(one);
+      const vname = names.find(one => node.getVerbatim(one) !== undefined) ?? names[0];
+      validateValue(node.get(vname), def, childPath(node, vname), errors);
+    }
+
+    if (this.#strict){
+      for(const {key} of node){
+        if (!known.has(key)) errors.push(new ConfigError(`Attribute '${key}' is not declared in schema`, childPath(node, key)));
+      }
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Converts a schema definition into a {@link ConfigSchema} instance
+ * @param {ConfigSchema | object} schema schema instance or plain definition map
+ * @returns {ConfigSchema}
+ */
+export function asSchema(schema){
+  if (schema instanceof ConfigSchema) return schema;
+  return new ConfigSchema(schema);
+}
+
+/**
+ * Validates the config section node against the schema returning an array of path-qualified errors
+ * @param {Configuration | ConfigNode} cfg configuration (its root is validated) or config node to validate
+ * @param {ConfigSchema | object} schema schema instance or plain definition map
+ * @returns {ConfigError[]} an array of errors, each having `from` set to the config path of the offending value; empty array when config is valid
+ */
+export function validate(cfg, schema){
+  if (cfg instanceof Configuration) cfg = cfg.root;
+  return asSchema(schema).validate(cfg);
+}
+
+/**
+ * Validates the config section node against the schema throwing {@link ConfigValidationError} listing all errors
+ * @param {Configuration | ConfigNode} cfg configuration (its root is validated) or config node to validate
+ * @param {ConfigSchema | object} schema schema instance or plain definition map
+ * @param {string} [from] optional error source
+ * @returns {ConfigNode} validated node
+ */
+export function averValid(cfg, schema, from = null){
+  if (cfg instanceof Configuration) cfg = cfg.root;
+  const errors = validate(cfg, schema);
+  if (errors.length > 0)
+    throw new ConfigValidationError(`Config '${cfg.path}' has ${errors.length} error(s): ${describeErrors(errors)}`, from ?? "averValid()", errors);
+  return cfg;
+}
+
+/**
+ * Describes an array of errors as a single line of text
+ * @param {ConfigError[]} errors
+ * @returns {string}
+ */
+export function describeErrors(errors){
+  return errors.map(e => `'${e.from}' ${e.message}`).join("; ");
+}
+
+/** Bool casts never fail, so bool values are checked against these strings to catch misspellings */
+const BOOL_STRINGS = Object.freeze(["true", "t", "yes", "1", "ok", "false", "f", "no", "0"]);
+
+function childPath(node, name){
+  return node.parent === null ? `/${name}` : `${node.path}/${name}`;
+}
+
+function validateValue(v, def, path, errors){
+  if (v === undefined || v === null){
+    if (types.asBool(def.required ?? false)) errors.push(new ConfigError("Required value is missing", path));
+    return;
+  }
+
+  const tmon = types.asTypeMoniker(def.type);
+
+  if (tmon === types.TYPE_MONIKER.OBJECT){
+    if (!(v instanceof ConfigNode) || !v.isSection){
+      errors.push(new ConfigError("Expected a section", path));
+      return;
+    }
+    if (types.isAssigned(def.schema)){
+      const schema = def.schema instanceof ConfigSchema ? def.schema : new ConfigSchema(def.schema, def.strict ?? false);
+      schema.validate(v, errors);
+    }
+    return;
+  }
+
+  if (tmon === types.TYPE_MONIKER.ARRAY){
+    if (!(v instanceof ConfigNode) || !v.isArray){
+      errors.push(new ConfigError("Expected an array", path));
+      return;
+    }
+    checkRange(v.count, def, "count", path, errors);
+    if (types.isObject(def.of)){
+      for(let i = 0; i < v.count; i++) validateValue(v.get(i), def.of, `${v.path}/#${i}`, errors);
+    }
+    return;
+  }
+
+  if (v instanceof ConfigNode){
+    errors.push(new ConfigError(`Expected a '${tmon}' value but got ${v.isArray ? "an array" : "a section"}`, path));
+    return;
+  }
+
+  if (tmon === types.TYPE_MONIKER.BOOL && !types.isBool(v) && v !== 0 && v !== 1 && !strings.isOneOf(v, BOOL_STRINGS)){
+    errors.push(new ConfigError(`Value ${strings.describe(v)} is not a valid '${tmon}'`, path));
+    return;
+  }
+
+  let cv;
+  try{
+    cv = types.cast(v, tmon);
+  } catch {
+    errors.push(new ConfigError(`Value ${strings.describe(v)} is not a valid '${tmon}'`, path));
+    return;
+  }
+
+  if (tmon === types.TYPE_MONIKER.STRING){
+    checkRange(cv.length, def, "length", path, errors);
+    if (def.pattern instanceof RegExp && !def.pattern.test(cv))
+      errors.push(new ConfigError(`Value ${strings.describe(cv)} does not match pattern ${def.pattern}`, path));
+  } else checkRange(cv, def, "value", path, errors);
+
+  if (types.isAssigned(def.values)){
+    const values = types.isArray(def.values) ? def.values : types.allObjectValues(def.values);
+    const found = tmon === types.TYPE_MONIKER.STRING ? strings.isOneOf(cv, values, false)
+                                                    : values.some(one => one === cv || (cv instanceof Date && one instanceof Date && one.getTime() === cv.getTime()));
+    if (!found) errors.push(new ConfigError(`Value ${strings.describe(cv)} is not one of: ${values.join(", ")}`, path));
+  }
+}
+
+function checkRange(v, def, what, path, errors){
+  if (types.isAssigned(def.min) && v < def.min) errors.push(new ConfigError(`The ${what} ${strings.describe(v)} is less than min ${strings.describe(def.min)}`, path));
+  if (types.isAssigned(def.max) && v > def.max) errors.push(new ConfigError(`The ${what} ${strings.describe(v)} is greater than max ${strings.describe(def.max)}`, path));
+}
@@ -25,9 +25,16 @@ import * as aver from "./aver.js";
    as arguments, this would have been impossible with plain function call, for example:
     ... emitter.emit(event).then(...) 
    return Promise.resolve(event);
+   See `emitAsync()` which awaits handlers returning promises
 */
 
 
+/** Provides uniform base for event-related exceptions */
+export class EventError extends types.AzosError {
+  constructor(message, from = null, cause = null){ super(message, from, cause, 532); }
+}
+
+
 /**
  * An archetype for all events dispatched via EventEmitter
  */
@@ -59,6 +66,34 @@ export class Event{
   set handled(v){ this.#handled = types.asBool(v); }
 }
 
+/**
+ * An event which listeners may veto to prevent the action it announces, e.g. to block an applet close.
+ * Unlike `handled`, a veto does not stop the propagation, so every listener gets a chance to report its reason.
+ * See {@link vetoable} which emits such "before" events and performs the action unless vetoed
+ */
+export class CancelableEvent extends Event{
+  #vetoes = [];
+
+  constructor(sender, bag){ super(sender, bag); }
+
+  /**
+   * Vetoes the announced action
+   * @param {string} [reason] human-readable reason of the veto
+   */
+  veto(reason = null){
+    this.#vetoes.push(types.isNonEmptyString(reason) ? reason : "Vetoed");
+  }
+
+  /** Returns true if at least one listener has vetoed the action */
+  get vetoed(){ return this.#vetoes.length > 0; }
+
+  /** Returns an array of veto reasons in the order of vetoes */
+  get vetoes(){ return [...this.#vetoes]; }
+
+  /** Returns the first veto reason or null if the action was not vetoed */
+  get reason(){ return this.#vetoes[0] ?? null; }
+}
+
 /** Defines a function symbol for event handlers attached to objects*/
 export const EVENT_HANDLER_FUN = Symbol("eventHandler");
 
@@ -70,17 +105,23 @@ export const EVENT_HANDLER_FUN = Symbol("eventHandler");
  * The system ensures that if a handler is subscribed to more than one type which are derived,
  * the system will only call the handler once per emit() using the most specific event type match.
  * Attention: you must unsubscribe from EventEmitter to prevent memory leaks.
+ * The emitter may retain recent events of selected types (see {@link retain}), so late subscribers
+ * immediately receive the retained events matching their subscription.
  */
 export class EventEmitter{
 
   #ctx;
   #map;
   #emitSet;
+  #retention;
+  #seq;
 
   constructor(ctx){
     this.#ctx = ctx===undefined ? null : ctx;
     this.#map = new Map();
     this.#emitSet = new Set();
+    this.#retention = new Map();
+    this.#seq = 0;
   }
 
   /** Event call context, such as an object that owns the emitter. It is
@@ -89,7 +130,7 @@ export class EventEmitter{
   get context(){ return this.#ctx; }
 
   /**
-   * Starts anew by unsubscribing all subscriptions
+   * Starts anew by unsubscribing all subscriptions. Retained events are kept, see {@link clearRetained}
    */
   clear(){
     this.#map.clear();//remove all event mappings
@@ -105,6 +146,7 @@ export class EventEmitter{
    */
   emit(event){
     aver.isOf(event, Event);
+    this.#keep(event);
 
     let result = false;
 
@@ -155,7 +197,74 @@ export class EventEmitter{
   }
 
   /**
-   * Subscribes a listener to this emitter
+   * Emits the event asynchronously awaiting handlers which may return promises, e.g. to perform I/O.
+   * Unlike {@link emit}, handler errors do not terminate the processing, instead they are aggregated in the result.
+   * By default handlers are called sequentially in the order of specificity, and the processing stops once `event.handled` is set.
+   * In parallel mode all matching handlers are called at once, so `event.handled` can not stop the processing
+   * @param {Event} event to emit
+   * @param {{parallel?: boolean, timeoutMs?: number}} [opts] `parallel` - true to call handlers concurrently; `timeoutMs` - per-handler timeout, 0 or none means no timeout
+   * @returns {Promise<EmitResult>} result describing which handlers ran
+   */
+  async emitAsync(event, opts = null){
+    aver.isOf(event, Event);
+    this.#keep(event);
+    const parallel = types.asBool(opts?.parallel ?? false);
+    const timeoutMs = opts?.timeoutMs ?? 0;
+
+    const matches = this.#match(event);
+    const handlers = [];
+    const call = async ({sub, etype}) => {
+      const one = {listener: sub, etype, ok: true, error: null, latencyMs: 0};
+      handlers.push(one);
+      const stamp = Date.now();
+      try{
+        await types.callWithTimeout(() => this.#call(sub, event), timeoutMs, `Handler of '${types.classOf(event).name}' via '${etype.name}'`, "emitAsync()", EventError);
+      } catch(e) {
+        one.ok = false;
+        one.error = e;
+      }
+      one.latencyMs = Date.now() - stamp;
+    };
+
+    if (parallel){
+      await Promise.all(matches.map(call));
+    } else {
+      for(const one of matches){
+        await call(one);
+        if (event.handled) break;
+      }
+    }
+
+    const errors = handlers.filter(one => !one.ok).map(one => one.error);
+    return {event, matched: matches.length > 0, handled: event.handled, handlers, errors};
+  }
+
+  /** Returns an array of `{sub, etype}` subscriptions matching the event, in the order of specificity, each subscriber once */
+  #match(event){
+    const result = [];
+    const seen = new Set();
+    for(let etp = types.classOf(event); etp != null; etp = types.parentOfClass(etp)){
+      const subs = this.#map.get(etp);
+      if (subs === undefined) continue;
+      for(const sub of subs){
+        if (seen.has(sub)) continue;
+        seen.add(sub);
+        result.push({sub, etype: etp});
+      }
+    }
+    return result;
+  }
+
+  #call(sub, event){
+    if (types.isFunction(sub)) return sub.call(this.#ctx, event);
+    const fhandler = sub[EVENT_HANDLER_FUN];
+    if (types.isFunction(fhandler)) return fhandler.call(sub, event);
+  }
+
+  /**
+   * Subscribes a listener to this emitter. If the emitter retains events of the subscribed-to types,
+   * the listener is immediately called with the retained events in the order of their emission.
+   * By design, a replay handler error surfaces from this call, the listener stays subscribed
    * @param {function|object} listener a function that takes an event or object with eventHandler(event) function
    * @param {Iterable<function>} etypes subscribed-to event class types
    * @returns {boolean} true if at least one was subscribed, false if the listener was already subscribed
@@ -166,22 +275,29 @@ export class EventEmitter{
     
     const map = this.#map;
 
-    let result = false;
+    const added = [];
     for(let type of etypes){
       let subs = map.get(type);
       if (subs===undefined){
         subs = [listener];
         map.set(type, subs);
-        result = true;
+        added.push(type);
       }else{
         const idx = subs.indexOf(listener);
         if (idx===-1){
           subs.push(listener);
-          result = true;
+          added.push(type);
         }
       }
     }
-    return result;
+
+    if (added.length > 0 && this.#retention.size > 0){
+      for(const event of this.getRetained()){
+        if (added.some(type => event instanceof type)) this.#call(listener, event);
+      }
+    }
+
+    return added.length > 0;
   }
 
   /**
@@ -213,4 +329,157 @@ export class EventEmitter{
     return result;
   }
 
+  /**
+   * Sets retention of emitted events of the specified type and its subtypes, so subscribers which subscribe later
+   * receive them. Depth of 1 keeps the last "sticky" event, a bigger depth keeps a bounded replay buffer of the latest events
+   * @param {function} etype event class type
+   * @param {int} [depth=1] max number of retained events, 0 stops retention and drops the retained events of the type
+   * @returns {int} previous retention depth of the type, 0 if it was not retained
+   */
+  retain(etype, depth = 1){
+    aver.isFunction(etype);
+    if (etype !== Event) aver.isSubclassOf(etype, Event);
+    depth = types.asInt(depth);
+    aver.isTrue(depth >= 0);
+
+    const existing = this.#retention.get(etype);
+    const result = existing?.depth ?? 0;
+    if (depth === 0){
+      this.#retention.delete(etype);
+    } else if (existing !== undefined){
+      existing.depth = depth;
+      existing.entries.splice(0, Math.max(0, existing.entries.length - depth));
+    } else {
+      this.#retention.set(etype, {depth, entries: []});
+    }
+    return result;
+  }
+
+  /**
+   * Returns an array of retained event class types along with their retention depths
+   * @returns {{etype: function, depth: int, count: int}[]}
+   */
+  get retention(){
+    return [...this.#retention].map(([etype, {depth, entries}]) => ({etype, depth, count: entries.length}));
+  }
+
+  /**
+   * Returns retained events in the order of their emission
+   * @param {function} [etype] optional event class type to filter by, including its subtypes
+   * @returns {Event[]}
+   */
+  getRetained(etype = null){
+    const seen = new Set();
+    const got = [];
+    for(const {entries} of this.#retention.values()){
+      for(const one of entries){
+        if (seen.has(one) || (etype !== null && !(one.event instanceof etype))) continue;
+        seen.add(one);
+        got.push(one);
+      }
+    }
+    return got.sort((a, b) => a.seq - b.seq).map(one => one.event);
+  }
+
+  /**
+   * Drops retained events keeping the retention settings
+   * @param {function} [etype] optional event class type to drop the events of, including its subtypes
+   * @returns {int} number of dropped events
+   */
+  clearRetained(etype = null){
+    const dropped = new Set();
+    for(const ret of this.#retention.values()){
+      ret.entries = ret.entries.filter(one => {
+        const drop = etype === null || one.event instanceof etype;
+        if (drop) dropped.add(one);
+        return !drop;
+      });
+    }
+    return dropped.size;
+  }
+
+  /** Keeps the event in the buffers of every retained type it is an instance of */
+  #keep(event){
+    if (this.#retention.size === 0) return;
+    const entry = {seq: ++this.#seq, event};
+    for(let etp = types.classOf(event); etp != null; etp = types.parentOfClass(etp)){
+      const ret = this.#retention.get(etp);
+      if (ret === undefined) continue;
+      ret.entries.push(entry);
+      if (ret.entries.length > ret.depth) ret.entries.shift();
+    }
+  }
+
+}
+
+/**
+ * Performs a vetoable action synchronously: emits the cancelable "before" event and unless it is vetoed,
+ * performs the action, then emits the "after" event. By design, handler errors surface from this call
+ * @param {EventEmitter} emitter an emitter to emit events with
+ * @param {CancelableEvent | null} before "before" event, pass null to bypass vetoes, e.g. for forced actions
+ * @param {Function} action a function which performs the action, its result is returned as `result`
+ * @param {Event | Function | null} [after] "after" event, or a function `(result) => Event` making it, or null for none
+ * @returns {VetoableResult}
+ */
+export function vetoable(emitter, before, action, after = null){
+  aver.isOf(emitter, EventEmitter);
+  aver.isFunction(action);
+  if (before !== null){
+    aver.isOf(before, CancelableEvent);
+    emitter.emit(before);
+    if (before.vetoed) return {done: false, vetoes: before.vetoes, result: undefined, errors: []};
+  }
+  const result = action();
+  const evt = makeAfter(after, result);
+  if (evt !== null) emitter.emit(evt);
+  return {done: true, vetoes: [], result, errors: []};
+}
+
+/**
+ * Performs a vetoable action asynchronously, see {@link vetoable}. Listeners and action may be async, e.g. to ask a user for confirmation.
+ * Errors of "before" listeners veto the action with the error message as a reason, errors of "after" listeners are returned in `errors`
+ * @param {EventEmitter} emitter an emitter to emit events with
+ * @param {CancelableEvent | null} before "before" event, pass null to bypass vetoes, e.g. for forced actions
+ * @param {Function} action a sync or async function which performs the action, its result is returned as `result`
+ * @param {Event | Function | null} [after] "after" event, or a function `(result) => Event` making it, or null for none
+ * @returns {Promise<VetoableResult>}
+ */
+export async function vetoableAsync(emitter, before, action, after = null){
+  aver.isOf(emitter, EventEmitter);
+  aver.isFunction(action);
+  if (before !== null){
+    aver.isOf(before, CancelableEvent);
+    const got = await emitter.emitAsync(before);
+    for(const e of got.errors) before.veto(e.message);
+    if (before.vetoed) return {done: false, vetoes: before.vetoes, result: undefined, errors: got.errors};
+  }
+  const result = await action();
+  const evt = makeAfter(after, result);
+  const errors = evt !== null ? (await emitter.emitAsync(evt)).errors : [];
+  return {done: true, vetoes: [], result, errors};
 }
+
+function makeAfter(after, result){
+  const evt = types.isFunction(after) ? after(result) : after;
+  return evt === undefined || evt === null ? null : aver.isOf(evt, Event);
+}
+
+/**
+ * Describes the outcome of {@link vetoable} and {@link vetoableAsync}
+ * @typedef {Object} VetoableResult
+ * @property {boolean} done true if the action was performed
+ * @property {string[]} vetoes veto reasons when the action was vetoed, empty otherwise
+ * @property {any} result the action result, undefined when the action was vetoed
+ * @property {Error[]} errors errors of async listeners, see {@link vetoableAsync}
+ */
+
+/**
+ * Describes the outcome of {@link EventEmitter.emitAsync}
+ * @typedef {Object} EmitResult
+ * @property {Event} event the emitted event
+ * @property {boolean} matched true if emit matched at least one listener
+ * @property {boolean} handled the final value of `event.handled`
+ * @property {{listener: Function | object, etype: Function, ok: boolean, error: Error | null, latencyMs: number}[]} handlers
+ *  handlers which ran, in the order of their start, along with the event type they were matched by
+ * @property {Error[]} errors errors thrown by handlers, empty when all handlers succeeded
+ */
@@ -4,8 +4,12 @@
  * See the LICENSE file in the project root for more information.
 </FILE_LICENSE>*/
 
-import { normalizeMsg, writeConsole } from "./log.js";
+import * as types from "./types.js";
+import * as aver from "./aver.js";
+import * as strings from "./strings.js";
+import { normalizeMsg, writeConsole, asMsgType, getMsgTypeSeverity, exceptionToData, LOG_TYPE } from "./log.js";
 import { ABSTRACT } from "./coreconsts.js";
+import { ConfigNode, ConfigError, makeNew } from "./conf.js";
 import { Module } from "./modules.js";
 
 /**
@@ -41,3 +45,239 @@ export class ConLog extends ILog{
   constructor(dir, cfg){ super(dir, cfg); }
   _doWrite(msg){ writeConsole(msg, `app('${this.app.id}')`, this.constructor.name); }
 }
+
+
+/**
+ * In-memory ring buffer logger which keeps the last `capacity` (1000 by default) normalized messages,
+ * e.g. to attach recent logs to a bug report or to assert on what was logged in tests
+ */
+export class MemoryLog extends ILog{
+  #buffer;
+  #head = 0;
+  #count = 0;
+
+  constructor(dir, cfg){
+    super(dir, cfg);
+    const capacity = cfg.getInt("capacity", 1000);
+    aver.isTrue(capacity > 0);
+    this.#buffer = new Array(capacity);
+  }
+
+  /** Returns max number of retained messages */
+  get capacity(){ return this.#buffer.length; }
+
+  /** Returns the number of retained messages */
+  get count(){ return this.#count; }
+
+  /**
+   * Returns retained messages from the oldest to the newest
+   * @returns {LogMessage[]}
+   */
+  get messages(){
+    const result = [];
+    for(let i = 0; i < this.#count; i++) result.push(this.#buffer[(this.#head + i) % this.#buffer.length]);
+    return result;
+  }
+
+  _doWrite(msg){
+    const cap = this.#buffer.length;
+    this.#buffer[(this.#head + this.#count) % cap] = msg;
+    if (this.#count < cap) this.#count++;
+    else this.#head = (this.#head + 1) % cap;
+  }
+
+  /**
+   * Drops all retained messages
+   * @returns {int} number of dropped messages
+   */
+  clear(){
+    const result = this.#count;
+    this.#buffer.fill(undefined);
+    this.#head = 0;
+    this.#count = 0;
+    return result;
+  }
+
+  /**
+   * Returns retained messages from the oldest to the newest which match the filter.
+   * String `topic`, `from` and `text` match case-insensitively as whole values, use RegExp for partial matches
+   * @param {MemoryLogFilter} [filter] optional filter, all messages when none
+   * @returns {LogMessage[]}
+   */
+  query(filter = null){
+    if (!types.isAssigned(filter)) return this.messages;
+    aver.isObject(filter);
+
+    const minSev = types.isAssigned(filter.minType) ? getMsgTypeSeverity(asMsgType(filter.minType)) : null;
+    const msgTypes = types.isAssigned(filter.types) ? [...filter.types].map(one => asMsgType(one)) : null;
+    const start = types.isAssigned(filter.start) ? asEpoch(filter.start) : null;
+    const end = types.isAssigned(filter.end) ? asEpoch(filter.end) : null;
+
+    const result = this.messages.filter(msg =>
+      (minSev === null || getMsgTypeSeverity(asMsgType(msg.type)) >= minSev) &&
+      (msgTypes === null || msgTypes.includes(asMsgType(msg.type))) &&
+      (start === null || msg.utcEpoch >= start) &&
+      (end === null || msg.utcEpoch <= end) &&
+      isMatch(filter.topic, msg.topic) &&
+      isMatch(filter.from, msg.from) &&
+      isMatch(filter.text, msg.text));
+
+    const take = types.isAssigned(filter.take) ? types.asInt(filter.take) : 0;
+    return take > 0 ? result.slice(-take) : result;
+  }
+
+  /**
+   * Exports retained messages which match the optional filter as a JSON string of `{app, instance, utcEpoch, messages}`,
+   * exceptions are converted with {@link exceptionToData}
+   * @param {MemoryLogFilter} [filter] optional filter, see {@link query}
+   * @param {string | int} [space] optional JSON indentation
+   * @returns {string}
+   */
+  toJson(filter = null, space = undefined){
+    const app = this.app;
+    const messages = this.query(filter).map(msg => ({...msg, exception: exceptionToData(msg.exception, app)}));
+    return JSON.stringify({app: app.id, instance: app.instanceId, utcEpoch: Date.now(), messages}, null, space);
+  }
+}
+
+/** Converts Date or ms since epoch into ms, `types.asDate()` only takes 32 bit ints */
+function asEpoch(v){
+  return types.isNumber(v) ? v : types.asDate(v).getTime();
+}
+
+/**
+ * Forks log messages into several child sinks declared in `sinks` config array, e.g. to send errors to the server
+ * while keeping debug output in the console. Every sink config node declares an {@link ILog} type along with its own settings,
+ * plus the optional routing attributes: `minType` - min message type by severity; `include`/`exclude` - lists of topic patterns
+ * where `*` matches any characters; `throttle` - max number of messages per `throttleIntervalMs` (1 sec by default), the excess is dropped
+ * and reported to the sink once the next interval starts.
+ * Child sinks are directed by the app, so they take part in the app module lifecycle and health checks, but are not registered with the module linker
+ */
+export class CompositeLog extends ILog{
+  #sinks = [];
+
+  constructor(dir, cfg){
+    super(dir, cfg);
+    const nodes = cfg.get("sinks");
+    try{
+      if (nodes instanceof ConfigNode){
+        for(const node of nodes.getChildren()) this.#sinks.push(new Sink(makeNew(ILog, node, this.app), node));
+      }
+      if (this.#sinks.length === 0) throw new ConfigError("CompositeLog requires at least one sink declared in `sinks`", "CompositeLog.ctor()");
+    } catch(e) {
+      for(const sink of this.#sinks) types.dispose(sink.log);//the sinks which were already made would leak otherwise
+      throw e;
+    }
+  }
+
+  [types.DESTRUCTOR_METHOD](){
+    for(const sink of this.#sinks) types.dispose(sink.log);
+    super[types.DESTRUCTOR_METHOD]();
+  }
+
+  /** Returns an array of child sinks in their declaration order @returns {ILog[]} */
+  get sinks(){ return this.#sinks.map(one => one.log); }
+
+  /**
+   * Returns routing statistics of child sinks in their declaration order
+   * @returns {{name: string, written: int, filtered: int, throttled: int}[]}
+   */
+  get stats(){
+    return this.#sinks.map(one => ({name: one.log[types.NAME_PROP], written: one.written, filtered: one.filtered, throttled: one.throttled}));
+  }
+
+  _doWrite(msg){
+    for(const sink of this.#sinks){
+      try{
+        sink.write(msg);
+      } catch(e) {
+        //by design: a failing sink must not prevent others from writing, and can not be reported via the app log which is this one
+        writeConsole({type: LOG_TYPE.ERROR, text: `Sink '${sink.log[types.NAME_PROP]}' leaked: ${e.message}`, exception: e}, `app('${this.app.id}')`, this.constructor.name);
+      }
+    }
+  }
+}
+
+/** Routes messages into a child sink of {@link CompositeLog} */
+class Sink{
+  #minSev;
+  #include;
+  #exclude;
+  #throttle;
+  #intervalMs;
+  #windowStart = 0;
+  #windowCount = 0;
+  #windowDropped = 0;
+
+  constructor(log, cfg){
+    this.log = log;
+    this.written = 0;
+    this.filtered = 0;
+    this.throttled = 0;
+    const minType = cfg.getString("minType", null);
+    this.#minSev = minType !== null ? getMsgTypeSeverity(asMsgType(minType)) : null;
+    this.#include = cfg.getStringArray("include", []).map(one => topicPattern(one));
+    this.#exclude = cfg.getStringArray("exclude", []).map(one => topicPattern(one));
+    this.#throttle = cfg.getInt("throttle", 0);
+    this.#intervalMs = types.atMin(cfg.getDuration("throttleIntervalMs", 1000), 1);
+  }
+
+  write(msg){
+    if (!this.#accepts(msg)){
+      this.filtered++;
+      return;
+    }
+
+    if (this.#throttle > 0){
+      const now = Date.now();
+      if (now - this.#windowStart >= this.#intervalMs){
+        const dropped = this.#windowDropped;
+        this.#windowStart = now;
+        this.#windowCount = 0;
+        this.#windowDropped = 0;
+        if (dropped > 0) this.log._doWrite(normalizeMsg({type: LOG_TYPE.WARNING, from: "CompositeLog", text: `Throttled ${dropped} message(s)`}));
+      }
+      if (this.#windowCount >= this.#throttle){
+        this.#windowDropped++;
+        this.throttled++;
+        return;
+      }
+      this.#windowCount++;
+    }
+
+    this.log._doWrite(msg);
+    this.written++;
+  }
+
+  #accepts(msg){
+    if (this.#minSev !== null && getMsgTypeSeverity(asMsgType(msg.type)) < this.#minSev) return false;
+    const topic = msg.topic ?? "";
+    if (this.#include.length > 0 && !this.#include.some(rx => rx.test(topic))) return false;
+    return !this.#exclude.some(rx => rx.test(topic));
+  }
+}
+
+/** Converts a topic pattern where `*` matches any characters into a case-insensitive RegExp */
+function topicPattern(pattern){
+  const rx = pattern.split("*").map(one => one.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${rx}$`, "i");
+}
+
+function isMatch(pattern, v){
+  if (!types.isAssigned(pattern)) return true;
+  if (pattern instanceof RegExp) return pattern.test(v);
+  return strings.isOneOf(v, [strings.asString(pattern)], false);
+}
+
+/**
+ * Filters messages retained by {@link MemoryLog}
+ * @typedef {Object} MemoryLogFilter
+ * @property {string} [minType] min message type by severity, see `LOG_TYPE`
+ * @property {string[]} [types] exact message types
+ * @property {string | RegExp} [topic] message topic
+ * @property {string | RegExp} [from] message from
+ * @property {string | RegExp} [text] message text
+ * @property {Date | int} [start] min message timestamp, inclusive
+ * @property {Date | int} [end] max message timestamp, inclusive
+ * @property {int} [take] max number of the newest matching messages to return
+ */
@@ -0,0 +1,247 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+import * as aver from "./aver.js";
+import { ConfigError } from "./conf.js";
+
+/*
+ Laconic is a terse config text format which is less noisy than JSON:
+
+  // line comments and /* block comments * / are supported
+  id = app1                      //unquoted values: numbers, true, false, null or strings
+  name = "My Application"        //quoted strings with JS escapes, either "" or ''
+  description = """
+    Multi-line strings are enclosed in triple quotes
+  """
+  log{ level = debug }           //sections
+  hosts = [ "a", b, 3 ]          //arrays, commas and semicolons are optional separators
+  modules = [
+    { name = log  type = ConLog }
+    { name = sync type = AppSync }
+  ]
+
+ The whole text is a root section content, optionally enclosed in braces.
+ Unquoted words may contain slashes (e.g. urls), so comments which follow them must be separated by whitespace
+*/
+
+const TK_WORD   = "word";
+const TK_STRING = "string";
+const TK_SYMBOL = "symbol";
+const TK_EOF    = "eof";
+
+const SYMBOLS = "{}[]=,;";
+const REXP_NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const ESCAPES = Object.freeze({ n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", v: "\v", 0: "\0" });
+
+/**
+ * Parses laconic config text into a plain content object which is the same as the one obtained from equivalent JSON
+ * @param {string} text laconic content
+ * @returns {object} content object
+ */
+export function parseLaconic(text){
+  aver.isString(text);
+  return new LaconicParser(text).parse();
+}
+
+class LaconicParser{
+  #text;
+  #pos = 0;
+  #line = 1;
+  #col = 1;
+  #token = null;
+
+  constructor(text){ this.#text = text; }
+
+  parse(){
+    this.#next();
+    let result;
+    if (this.#isSymbol("{")){
+      this.#next();
+      result = this.#parseItems("}");
+      this.#expectSymbol("}");
+    } else {
+      result = this.#parseItems(null);
+    }
+    if (this.#token.type !== TK_EOF) this.#error(this.#token, `unexpected '${this.#token.value}' after root section`);
+    return result;
+  }
+
+  #parseItems(closing){
+    const result = {};
+    // eslint-disable-next-line no-constant-condition
+    while(true){
+      this.#skipSeparators();
+      const tk = this.#token;
+      if (tk.type === TK_EOF){
+        if (closing !== null) this.#error(tk, `unexpected end of text, expecting '${closing}'`);
+        return result;
+      }
+      if (closing !== null && this.#isSymbol(closing)) return result;
+
+      if (tk.type === TK_SYMBOL) this.#error(tk, `unexpected '${tk.value}', expecting attribute or section name`);
+      const name = tk.value;
+      if (name.length === 0) this.#error(tk, "attribute or section name may not be empty");
+      if (Object.prototype.hasOwnProperty.call(result, name)) this.#error(tk, `duplicate name '${name}'`);
+      this.#next();
+
+      let value;
+      if (this.#isSymbol("{")){
+        value = this.#parseValue();
+      } else if (this.#isSymbol("=")){
+        this.#next();
+        value = this.#parseValue();
+      } else this.#error(this.#token, `expecting '=' or '{' after name '${name}'`);
+      //defined as own property the way JSON.parse() does, as assignment of names like `__proto__` would change the object prototype
+      Object.defineProperty(result, name, {value, enumerable: true, writable: true, configurable: true});
+    }
+  }
+
+  #parseElements(){
+    const result = [];
+    // eslint-disable-next-line no-constant-condition
+    while(true){
+      this.#skipSeparators();
+      if (this.#token.type === TK_EOF) this.#error(this.#token, "unexpected end of text, expecting ']'");
+      if (this.#isSymbol("]")) return result;
+      result.push(this.#parseValue());
+    }
+  }
+
+  #parseValue(){
+    const tk = this.#token;
+    if (tk.type === TK_SYMBOL){
+      if (tk.value === "{"){
+        this.#next();
+        const result = this.#parseItems("}");
+        this.#expectSymbol("}");
+        return result;
+      }
+      if (tk.value === "["){
+        this.#next();
+        const result = this.#parseElements();
+        this.#expectSymbol("]");
+        return result;
+      }
+      this.#error(tk, `unexpected '${tk.value}', expecting a value`);
+    }
+    if (tk.type === TK_EOF) this.#error(tk, "unexpected end of text, expecting a value");
+
+    this.#next();
+    if (tk.type === TK_STRING) return tk.value;
+
+    const v = tk.value;
+    if (v === "true") return true;
+    if (v === "false") return false;
+    if (v === "null") return null;
+    if (REXP_NUMBER.test(v)) return Number(v);
+    return v;
+  }
+
+  #skipSeparators(){
+    while(this.#isSymbol(",") || this.#isSymbol(";")) this.#next();
+  }
+
+  #isSymbol(s){ return this.#token.type === TK_SYMBOL && this.#token.value === s; }
+
+  #expectSymbol(s){
+    if (!this.#isSymbol(s)) this.#error(this.#token, this.#token.type === TK_EOF ? `unexpected end of text, expecting '${s}'` : `expecting '${s}' but got '${this.#token.value}'`);
+    this.#next();
+  }
+
+  #error(tk, msg){
+    throw new ConfigError(`Laconic syntax error at line ${tk.line}, col ${tk.col}: ${msg}`, "parseLaconic()");
+  }
+
+  #char(offset = 0){ return this.#text[this.#pos + offset]; }
+
+  #advance(){
+    const c = this.#text[this.#pos++];
+    if (c === "\n"){
+      this.#line++;
+      this.#col = 1;
+    } else this.#col++;
+    return c;
+  }
+
+  #next(){
+    this.#skipWhitespaceAndComments();
+    const tk = {type: TK_EOF, value: "", line: this.#line, col: this.#col};
+    this.#token = tk;
+    if (this.#pos >= this.#text.length) return;
+
+    const c = this.#char();
+    if (SYMBOLS.indexOf(c) >= 0){
+      tk.type = TK_SYMBOL;
+      tk.value = this.#advance();
+      return;
+    }
+
+    if (c === '"' || c === "'"){
+      tk.type = TK_STRING;
+      tk.value = this.#char(1) === c && this.#char(2) === c ? this.#readMultilineString(tk, c) : this.#readString(tk, c);
+      return;
+    }
+
+    tk.type = TK_WORD;
+    let v = "";
+    while(this.#pos < this.#text.length){
+      const w = this.#char();
+      if (SYMBOLS.indexOf(w) >= 0 || /\s/.test(w) || w === '"' || w === "'") break;
+      v += this.#advance();
+    }
+    tk.value = v;
+  }
+
+  #readString(tk, quote){
+    this.#advance();
+    let v = "";
+    // eslint-disable-next-line no-constant-condition
+    while(true){
+      if (this.#pos >= this.#text.length) this.#error(tk, "unterminated string");
+      const c = this.#advance();
+      if (c === quote) return v;
+      if (c === "\n") this.#error(tk, "unterminated string, use triple quotes for multi-line strings");
+      if (c === "\\"){
+        if (this.#pos >= this.#text.length) this.#error(tk, "unterminated string");
+        const e = this.#advance();
+        if (e === "u"){
+          const hex = this.#text.substr(this.#pos, 4);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.#error(tk, `bad unicode escape '\\u${hex}'`);
+          for(let i = 0; i < 4; i++) this.#advance();
+          v += String.fromCharCode(parseInt(hex, 16));
+        } else v += ESCAPES[e] ?? e;
+      } else v += c;
+    }
+  }
+
+  #readMultilineString(tk, quote){
+    const delim = quote + quote + quote;
+    for(let i = 0; i < 3; i++) this.#advance();
+    const end = this.#text.indexOf(delim, this.#pos);
+    if (end < 0) this.#error(tk, "unterminated multi-line string");
+    let v = "";
+    while(this.#pos < end) v += this.#advance();
+    for(let i = 0; i < 3; i++) this.#advance();
+    return v;
+  }
+
+  #skipWhitespaceAndComments(){
+    const text = this.#text;
+    while(this.#pos < text.length){
+      const c = this.#char();
+      if (/\s/.test(c)){
+        this.#advance();
+      } else if (c === "/" && this.#char(1) === "/"){
+        while(this.#pos < text.length && this.#char() !== "\n") this.#advance();
+      } else if (c === "/" && this.#char(1) === "*"){
+        const tk = {line: this.#line, col: this.#col};
+        const end = text.indexOf("*/", this.#pos + 2);
+        if (end < 0) this.#error(tk, "unterminated block comment");
+        while(this.#pos < end + 2) this.#advance();
+      } else break;
+    }
+  }
+}
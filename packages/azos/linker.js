@@ -21,6 +21,40 @@ export const ANY_NAME = "*";
  */
 export const GET_LINKER_INTERFACES_METHOD = Symbol("getLinkerInterfaces");
 
+/**
+ * Establishes a "linker provider" protocol - an entity which implements such property returns a {@link Linker}
+ * used to inject dependencies into objects which it directs, e.g. an application returns its module linker
+ */
+export const LINKER_PROP = Symbol("linker");
+
+/**
+ * Establishes a "dependency injection" protocol - a class declares a static map of its fields to dependencies:
+ * `static [INJECT_PROP] = {log: ILog, weather: {type: IWeather, name: "main", optional: true}}`.
+ * The fields get filled with resolved handlers by `makeNew()` (see {@link inject}) right after the instance is constructed,
+ * so the dependencies are NOT available in the constructor yet. Optional dependencies are set to null when not resolved
+ */
+export const INJECT_PROP = Symbol("inject");
+
+
+/** Lifetimes of handlers which are created by factories, see {@link Linker.registerFactory} */
+export const LIFETIME = Object.freeze({
+  /** The handler is created on first resolution and then reused */
+  SINGLETON: "singleton",
+  /** A new handler is created on every resolution */
+  TRANSIENT: "transient"
+});
+const ALL_LIFETIMES = types.allObjectValues(LIFETIME);
+
+/**
+ * Converts value into a valid LIFETIME member
+ * @param {*} v string lifetime
+ * @returns {LIFETIME} .SINGLETON as default
+ */
+export function asLifetime(v){
+  v = strings.asString(v).toLowerCase();
+  if (strings.isOneOf(v, ALL_LIFETIMES, true)) return v;
+  return LIFETIME.SINGLETON;
+}
 
 /** Provides uniform base for Linker-related exceptions */
 export class LinkerError extends types.AzosError {
@@ -34,11 +68,22 @@ export class LinkerError extends types.AzosError {
  * This can be thought about in terms of service location pattern, which is used in turn for dependency injection.
  * for type-safety the constructor takes `tInterface` constraint which is a base marker interface for all interfaces mapped by this class; and
  *  `tHandler` constraint which is a base for all handler instances, for example a {@link ModuleLinker} sets `Module` as both interface and handler constraints.
+ * Linkers form scopes: a child linker (see {@link createChild}) registers its own handlers and falls back to its parent for resolution.
+ * Disposing a child linker tears down only its own registrations (and its child scopes) leaving the parent intact
  * */
-export class Linker{
+export class Linker extends types.DisposableObject{
   #tInterface;
   #tHandler;
   #map;// Map<interface, Map<string, handler>>
+  #parent;
+  #children = new Set();
+  #transients = new Set();// disposable handlers made by transient factories
+  #trace = false;
+  #traceCapacity = 1000;
+  #traceLog = [];
+  #graph = new Map();// "requester|handler|interface|name" -> edge
+  #ids = new WeakMap();// object -> graph node id
+  #idSeed = 0;
 
   /**
    * Allocates and configures Linker to resolve a desired interface into a handler object
@@ -46,11 +91,55 @@ export class Linker{
    * of the required interface
    * @param {class} tInterface
    * @param {class} tHandler
+   * @param {Linker | null} [parent=null] optional parent linker which this child scope falls back to for resolution
    */
-  constructor(tInterface, tHandler){
+  constructor(tInterface, tHandler, parent = null){
+    super();
     this.#tInterface = aver.isFunction(tInterface);
     this.#tHandler = aver.isFunction(tHandler);
     this.#map = new Map();
+    this.#parent = parent !== null ? aver.isOf(parent, Linker) : null;
+    if (this.#parent !== null){
+      this.#parent.#averNotDisposed("Linker.ctor()");
+      if (this.#parent.#tInterface !== this.#tInterface || this.#parent.#tHandler !== this.#tHandler)
+        throw new LinkerError("Child linker must have the same interface and handler types as its parent", "Linker.ctor()");
+      this.#parent.#children.add(this);
+    }
+  }
+
+  /**
+   * Tears down own registrations and child scopes, and detaches from parent.
+   * Handlers made by factories are disposed, while handler instances registered via {@link register} are NOT
+   */
+  [types.DESTRUCTOR_METHOD](){
+    for(const child of [...this.#children]) types.dispose(child);
+    for(const bucket of this.#map.values())
+      for(const entry of bucket.values())
+        if (entry instanceof FactoryRegistration) entry.release();
+    for(const one of this.#transients) types.dispose(one);
+    this.#transients.clear();
+    this.#map.clear();
+    if (this.#parent !== null) this.#parent.#children.delete(this);
+  }
+
+  /** Returns parent linker scope or null for the root linker */
+  get parent(){ return this.#parent; }
+
+  /** Returns an array of direct child linker scopes which are not disposed yet */
+  get children(){ return [...this.#children]; }
+
+  /**
+   * Creates a child linker scope, e.g. per applet or per request, which registers its own handlers
+   * and resolves from this linker when it does not have a matching handler.
+   * Dispose the child when the scope ends
+   * @returns {Linker} a new child linker of the same type
+   */
+  createChild(){
+    return new Linker(this.#tInterface, this.#tHandler, this);
+  }
+
+  #averNotDisposed(from){
+    if (this[types.DISPOSED_PROP]) throw new LinkerError("Linker scope is already disposed", from);
   }
 
   /** Base Interface type which this linker maintains, the resolution is done for the sub-types of this interface*/
@@ -99,6 +188,7 @@ export class Linker{
    * matching case is already handled by some other handler, or no interface types were yielded from handler
    */
   register(handler, intf = null, name = null){
+    this.#averNotDisposed("register()");
     aver.isOf(handler, this.#tHandler);
     const interfaces = intf  ? [aver.isSubclassOf(intf, this.#tInterface)] : this.getHandlerInterfaces(handler);
 
@@ -124,18 +214,49 @@ export class Linker{
   }
 
   /**
-   * Unregisters the handler instance from all mappings returning true,
-   * or false when handler did not match any mappings
-   * @param {object} handler handler of `tHandler` type
+   * Registers a factory function which lazily makes a handler of the specified interface on resolution, so heavy handlers
+   * are not built unless they are needed. The factory is called as `factory(linker): handler` with the linker which owns the registration.
+   * Handlers made by factories are owned by the linker: singletons and disposable transients get disposed along with the linker,
+   * and the singleton gets disposed when its factory is unregistered
+   * @param {Function} intf interface type which the factory makes handlers of
+   * @param {Function} factory factory function `(linker) => handler`
+   * @param {string} [name=null] optional name
+   * @param {LIFETIME} [lifetime=LIFETIME.SINGLETON] handler lifetime
+   * @returns {boolean} true when mapping was registered, false when the name is already handled by some other handler
+   */
+  registerFactory(intf, factory, name = null, lifetime = LIFETIME.SINGLETON){
+    this.#averNotDisposed("registerFactory()");
+    aver.isSubclassOf(intf, this.#tInterface);
+    aver.isFunction(factory);
+    const nm = !strings.isEmpty(name) ? name : ANY_NAME;
+
+    let bucket = this.#map.get(intf);
+    if (bucket === undefined){
+      bucket = new Map();
+      this.#map.set(intf, bucket);
+    } else if (bucket.has(nm)) return false;//name exists
+
+    bucket.set(nm, new FactoryRegistration(intf, nm, factory, asLifetime(lifetime)));
+    return true;
+  }
+
+  /**
+   * Unregisters the handler instance or the factory function from all mappings of this linker scope returning true,
+   * or false when handler did not match any mappings. Parent scopes are not affected.
+   * Unregistering a factory disposes the singleton handler which it has made
+   * @param {object | Function} handler handler of `tHandler` type, or factory function registered by {@link registerFactory}
    * @returns {boolean}
    */
   unregister(handler){
-    aver.isOf(handler, this.#tHandler);
+    const isFactory = types.isFunction(handler);
+    if (!isFactory) aver.isOf(handler, this.#tHandler);
 
     let deleted = false;
     for(const [tp, map] of this.#map.entries()){
       for(const [nm, h] of map.entries()){
-        if (h === handler){
+        const isMatch = isFactory ? h instanceof FactoryRegistration && h.factory === handler : h === handler;
+        if (isMatch){
+          if (isFactory) h.release();
           map.delete(nm);
           deleted = true;
         }
@@ -148,14 +269,14 @@ export class Linker{
     return deleted;
   }
 
-  /** Dumps linker state as an object graph. This is mostly used for debugging purposes */
+  /** Dumps own linker scope state (without parent) as an object graph. This is mostly used for debugging purposes */
   dump(){
     const result = {};
     for(const [tp, map] of this.#map.entries()){
       const nmap = {};
       result[tp.name] = nmap;
       for(const [nm, h] of map.entries()){
-        nmap[nm] = `(${h.constructor.name}) ${h.toString()}`;
+        nmap[nm] = h instanceof FactoryRegistration ? h.toString() : `(${h.constructor.name}) ${h.toString()}`;
       }
     }
 
@@ -165,39 +286,265 @@ export class Linker{
 
   /**
    * Service location: tries to find a handler which supports the specified interface with optional name.
+   * Own registrations take precedence, then parent scopes are searched.
    * Returns such handler or NULL IF not found.
    * @param {class} intf a type of handler to find
    * @param {string | null} name  optional name of handler
+   * @param {object | null} [requester=null] optional object which requests the handler, it is recorded in trace mode, see {@link getResolutionGraph}
    * @returns {object | null}
    */
-  tryResolve(intf, name = null){
+  tryResolve(intf, name = null, requester = null){
+    this.#averNotDisposed("tryResolve()");
     aver.isFunction(intf);
+
+    let depth = 0;
+    let result = null;
+    try{
+      for(let scope = this; scope !== null; scope = scope.#parent, depth++){
+        result = scope.#lookup(intf, name);
+        if (result !== null) break;
+      }
+    } catch(e) {
+      if (this.#trace) this.#record(intf, name, null, -1, requester, e);
+      throw e;
+    }
+
+    if (this.#trace) this.#record(intf, name, result, result !== null ? depth : -1, requester, null);
+    return result;
+  }
+
+  /** Looks up own registrations, making lazy handlers as needed */
+  #lookup(intf, name){
     const bucket = this.#map.get(intf);
     if (!bucket) return null;
 
-    let result = null;
-    if (strings.isEmpty(name))
-      result = bucket.get(ANY_NAME) ?? bucket.values().next().value;//first item
-    else
-      result = bucket.get(name);
+    const entry = strings.isEmpty(name) ? bucket.get(ANY_NAME) ?? bucket.values().next().value//first item
+                                        : bucket.get(name);
+    if (entry === undefined || entry === null) return null;
+    return entry instanceof FactoryRegistration ? this.#make(entry) : entry;
+  }
+
+  /** Makes or returns an existing handler of the factory registration */
+  #make(reg){
+    if (reg.instance !== null) return reg.instance;
+    if (reg.isMaking) throw new LinkerError(`Circular factory resolution of type ${reg.intf.name}, name '${reg.name}'`, "tryResolve()");
+
+    let handler;
+    reg.isMaking = true;
+    try{
+      handler = reg.factory(this);
+    } catch(e) {
+      if (e instanceof LinkerError) throw e;
+      throw new LinkerError(`Factory of type ${reg.intf.name}, name '${reg.name}' failed: ${e.message}`, "tryResolve()", e);
+    } finally {
+      reg.isMaking = false;
+    }
 
-    return result ?? null;
+    if (!(handler instanceof reg.intf) || !(handler instanceof this.#tHandler))
+      throw new LinkerError(`Factory of type ${reg.intf.name}, name '${reg.name}' returned ${strings.describe(handler)} which is not of the requested type`, "tryResolve()");
+
+    if (reg.lifetime === LIFETIME.SINGLETON){
+      reg.instance = handler;
+    } else if (types.isFunction(handler[types.DISPOSE_METHOD])){
+      for(const one of this.#transients) if (one[types.DISPOSED_PROP]) this.#transients.delete(one);//purge the ones disposed by their users
+      this.#transients.add(handler);
+    }
+    return handler;
   }
 
   /**
    * Service location: tries to find a handler which supports the specified interface with optional name.
-   * Returns such handler or throws if not found
+   * Returns such handler or throws if not found, listing near-matches in the error message, see {@link suggest}
    * @param {class} intf a type of handler to find
    * @param {string | null} name  optional name of handler
+   * @param {object | null} [requester=null] optional object which requests the handler
    */
-  resolve(intf, name = null){
-    const result = this.tryResolve(intf, name);
+  resolve(intf, name = null, requester = null){
+    const result = this.tryResolve(intf, name, requester);
     if (result === null)
-      throw new LinkerError(`Linker error resolving type ${intf.name}, name '${name ?? UNKNOWN}'`, "resolve()");
+      throw new LinkerError(`Linker error resolving type ${intf.name}, name '${name ?? UNKNOWN}'${describeSuggestions(this.suggest(intf, name))}`, "resolve()");
 
     return result;
   }
 
+  /**
+   * Returns near-matches of the requested interface and name registered in this linker and its parent scopes,
+   * which are used as hints in resolution errors: handlers registered under other names for the same interface,
+   * interfaces of the same class name (e.g. loaded twice from different module copies) and the same name registered for other interfaces
+   * @param {class} intf requested interface type
+   * @param {string | null} [name] requested handler name
+   * @param {int} [max=5] max number of suggestions
+   * @returns {string[]} an array of suggestions of a form `Interface("name")`
+   */
+  suggest(intf, name = null, max = 5){
+    aver.isFunction(intf);
+    const hasName = !strings.isEmpty(name);
+    const tiers = [[], [], []];//same interface, same interface class name, same handler name
+    for(let scope = this; scope !== null; scope = scope.#parent){
+      for(const [tp, bucket] of scope.#map.entries()){
+        for(const nm of bucket.keys()){
+          let tier = -1;
+          if (tp === intf) tier = !hasName || nm !== name ? 0 : -1;
+          else if (tp.name === intf.name) tier = 1;
+          else if (hasName && strings.isOneOf(nm, [name])) tier = 2;
+          if (tier >= 0) tiers[tier].push(`${tp.name}("${nm}")`);
+        }
+      }
+    }
+    return [...new Set(tiers.flat())].slice(0, max);
+  }
+
+  /** Returns true when resolution trace mode is on, see {@link traceLog} and {@link getResolutionGraph} */
+  get trace(){ return this.#trace; }
+  /** Turns resolution trace mode on/off. Lookups are recorded by the linker on which resolution is called, regardless of the scope which handled it */
+  set trace(v){ this.#trace = types.asBool(v); }
+
+  /** Max number of trace log entries kept, oldest entries are discarded */
+  get traceCapacity(){ return this.#traceCapacity; }
+  set traceCapacity(v){ this.#traceCapacity = types.atMin(v | 0, 1); }
+
+  /**
+   * Returns an array of recorded lookups, oldest first. Each entry is
+   * `{intf: string, name: string | null, hit: boolean, handler: string | null, scope: int, requester: string | null, error: string | null}`
+   * where scope is 0 for own registrations, 1 for parent and so on, or -1 on a miss
+   * @returns {object[]}
+   */
+  get traceLog(){ return [...this.#traceLog]; }
+
+  /** Clears the trace log and the resolution graph */
+  clearTrace(){
+    this.#traceLog.length = 0;
+    this.#graph.clear();
+  }
+
+  /**
+   * Exports a graph of successful resolutions recorded in trace mode for lookups which specified a requester,
+   * showing which component resolved which handler
+   * @returns {{nodes: {id: string, type: string, name: string | null}[], edges: {from: string, to: string, intf: string, name: string | null, count: int}[]}}
+   */
+  getResolutionGraph(){
+    const nodes = new Map();
+    const edges = [];
+    for(const edge of this.#graph.values()){
+      for(const one of [edge.requester, edge.handler]){
+        const id = this.#idOf(one);
+        if (!nodes.has(id)) nodes.set(id, {id, type: types.classOf(one).name, name: one[types.NAME_PROP] ?? null});
+      }
+      edges.push({from: this.#idOf(edge.requester), to: this.#idOf(edge.handler), intf: edge.intf.name, name: edge.name, count: edge.count});
+    }
+    return {nodes: [...nodes.values()], edges};
+  }
+
+  #idOf(obj){
+    if (types.isAssigned(obj.sid)) return `sid-${obj.sid}`;
+    let id = this.#ids.get(obj);
+    if (id === undefined){
+      id = `obj-${++this.#idSeed}`;
+      this.#ids.set(obj, id);
+    }
+    return id;
+  }
+
+  #record(intf, name, handler, scope, requester, error){
+    const log = this.#traceLog;
+    log.push({
+      intf: intf.name,
+      name: strings.isEmpty(name) ? null : name,
+      hit: handler !== null,
+      handler: handler !== null ? `(${handler.constructor.name}) ${handler.toString()}` : null,
+      scope,
+      requester: types.isObject(requester) ? `(${requester.constructor.name}) ${requester.toString()}` : null,
+      error: error !== null ? error.message : null
+    });
+    if (log.length > this.#traceCapacity) log.splice(0, log.length - this.#traceCapacity);
+
+    if (handler !== null && types.isObject(requester)){
+      const key = `${this.#idOf(requester)}|${this.#idOf(handler)}|${intf.name}|${name ?? ""}`;
+      const edge = this.#graph.get(key);
+      if (edge !== undefined) edge.count++;
+      else this.#graph.set(key, {requester, handler, intf, name: strings.isEmpty(name) ? null : name, count: 1});
+    }
+  }
+
+}
+
+/** Lazy handler registration made by {@link Linker.registerFactory} */
+class FactoryRegistration{
+  constructor(intf, name, factory, lifetime){
+    this.intf = intf;
+    this.name = name;
+    this.factory = factory;
+    this.lifetime = lifetime;
+    this.instance = null;
+    this.isMaking = false;
+  }
+
+  /** Disposes the singleton instance if it was made */
+  release(){
+    const instance = this.instance;
+    this.instance = null;
+    if (instance !== null) types.dispose(instance);
+  }
+
+  toString(){
+    const made = this.instance !== null ? `(${this.instance.constructor.name}) ${this.instance.toString()}` : "not made";
+    return `factory(${this.lifetime}): ${made}`;
+  }
+}
+
+function describeSuggestions(suggestions){
+  return suggestions.length > 0 ? `. Did you mean: ${suggestions.join(", ")}?` : "";
+}
+
+/**
+ * Normalizes a dependency declaration into `{type, name, optional}` or returns null if it is invalid.
+ * A declaration is either an interface type, or an object of `{type, name?, optional?}`
+ * @param {Function | object} d dependency declaration
+ * @returns {{type: Function, name: string | null, optional: boolean} | null}
+ */
+export function asDependency(d){
+  if (types.isFunction(d)) return {type: d, name: null, optional: false};
+  if (types.isObject(d) && types.isFunction(d.type)) return {type: d.type, name: d.name ?? null, optional: types.asBool(d.optional ?? false)};
+  return null;
+}
+
+/**
+ * Injects dependencies into the target object fields by resolving them with the supplied linker.
+ * Nothing is assigned unless all required dependencies get resolved, and a single {@link LinkerError} lists every unresolved one
+ * @param {Linker} linker linker to resolve dependencies with
+ * @param {object} target object to inject dependencies into
+ * @param {object} [deps] optional map of `{field: dependency}`, the target class {@link INJECT_PROP} declaration is used by default
+ * @returns {object} the target object
+ */
+export function inject(linker, target, deps = null){
+  if (!(linker instanceof Linker) || !types.isObject(target)) throw new LinkerError(`Bad 'inject()' args: need Linker and target object`, "inject()");
+
+  const tname = types.classOf(target).name;
+  deps = deps ?? types.classOf(target)[INJECT_PROP];
+  if (!types.isAssigned(deps)) return target;
+  if (!types.isObject(deps)) throw new LinkerError(`Type '${tname}' must declare injected dependencies as an object map`, "inject()");
+
+  const resolved = {};
+  const errors = [];
+  for(const field in deps){
+    const dep = asDependency(deps[field]);
+    if (dep === null){
+      errors.push(`'${field}' has bad declaration`);
+      continue;
+    }
+
+    const descr = dep.name === null ? dep.type.name : `${dep.type.name}("${dep.name}")`;
+    try{
+      const got = linker.tryResolve(dep.type, dep.name, target);
+      if (got === null && !dep.optional) errors.push(`'${field}' -> ${descr}${describeSuggestions(linker.suggest(dep.type, dep.name))}`);
+      resolved[field] = got;
+    } catch(e) {
+      errors.push(`'${field}' -> ${descr}: ${e.message}`);
+    }
+  }
+
+  if (errors.length > 0) throw new LinkerError(`Unresolved dependencies of '${tname}': ${errors.join("; ")}`, "inject()");
+  return Object.assign(target, resolved);
 }
 
 /**
@@ -211,6 +558,7 @@ export class Linker{
  * @param {Linker} linker linker to use
  * @param {object} map target object which contains pairs: `{nm: type,...}`
  * @param {string} [nsplit="_"] optional split string for name, for example: "logger_main" will link with named object instance "main". The default is '_'. Pass null to disable named dependencies
+ * @param {object | null} [requester=null] optional object which requests dependencies, see {@link Linker.getResolutionGraph}
  * @returns The original map which was passed-in, having its entries linked
  * @example  <caption> Example </caption>
  *  const got = link(linker, {log: ILog, weather_nation: IWeather, weather_local: IWeather})
@@ -222,7 +570,7 @@ export class Linker{
  *  //Notice that we have used two `IWeather` services, one named "nation" and another "local"- having both resolve to different
  *  //instances in spite of both implementing the same "IWeather" contract
  */
-export function link(linker, map, nsplit = "_"){
+export function link(linker, map, nsplit = "_", requester = null){
   if (!(linker instanceof Linker) || !map) throw new LinkerError(`Bad 'link()' args: need Linker and map`, "link()");
 
   for(const key in map){
@@ -237,9 +585,9 @@ export function link(linker, map, nsplit = "_"){
       }
     }
 
-    const got = linker.tryResolve(tp, nm);
+    const got = linker.tryResolve(tp, nm, requester);
 //console.debug(key, tp, nm);
-    if (got === null) throw new LinkerError(`Could not link dependency '${nm}' of type '${tp.name}'`, "link()");
+    if (got === null) throw new LinkerError(`Could not link dependency '${nm}' of type '${tp.name}'${describeSuggestions(linker.suggest(tp, nm))}`, "link()");
     map[key] = got;
   }
 
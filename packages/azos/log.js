@@ -9,6 +9,8 @@ import * as strings from "./strings.js";
 
 /**
   * @typedef {Object} LogMessage
+  * @property {string} guid message guid assigned on write
+  * @property {int} utcEpoch message timestamp assigned on write, ms since Unix epoch
   * @property {string} rel optional guid of related-to message or null
   * @property {Atom} channel optional channel atom or null
   * @property {string} type Message type enum
@@ -77,16 +79,16 @@ const LOG_TYPE_SEVERITY = Object.freeze({
 });
 
 /**
- * Converts value to LOG_TYPE coercing it to string if needed
+ * Converts value to LOG_TYPE coercing it to string if needed. The match is case-insensitive
+ * and the result is the LOG_TYPE value as declared, e.g. "error" returns "Error"
  * @param {*} v value to convert
  * @param {boolean} [canNull=false] pass true to return null for null input
  * @returns {LOG_TYPE}
  */
 export function asMsgType(v, canNull = false){
   if (canNull && v===null) return null;
-  v = strings.asString(v);
-  if (strings.isOneOf(v, ALL_TYPES, false)) return v;
-  return LOG_TYPE.INFO;
+  v = strings.asString(v).toLowerCase();
+  return ALL_TYPES.find(one => one.toLowerCase() === v) ?? LOG_TYPE.INFO;
 }
 
 /**
@@ -106,6 +108,7 @@ export function normalizeMsg(msg){
     if (msg===undefined || msg===null) throw new LogError("Null msg");
     return {
       guid: types.genGuid(),
+      utcEpoch: Date.now(),
       rel: strings.asString(msg.guid),
       type: asMsgType(msg.type),
       text: strings.asString(msg.text),
@@ -11,6 +11,29 @@ import { AppComponent } from "./components.js";
 import { ConfigNode } from "./conf.js";
 import { Linker } from "./linker.js";
 
+/**
+ * Establishes a "module dependencies" protocol - a module class declares a static array of other module interface types
+ * it depends on, e.g. `static [DEPENDENCIES_PROP] = [ILog, {type: IWeather, name: "main", optional: true}]`.
+ * The application uses the declarations to load modules after their dependencies, and to report missing and circular
+ * dependencies before any module is constructed
+ */
+export const DEPENDENCIES_PROP = Symbol("dependencies");
+
+/** Health statuses reported by health checks, see {@link HEALTH_CHECK_METHOD} */
+export const HEALTH_STATUS = Object.freeze({
+  HEALTHY:   "healthy",
+  DEGRADED:  "degraded",
+  UNHEALTHY: "unhealthy"
+});
+
+/**
+ * Establishes a "health check" protocol - a module implements an async method which verifies that the module is operational,
+ * e.g. a remote service is reachable or a storage is available. The method either throws, which means the module is unhealthy,
+ * or returns an optional details object which may specify the `status` from {@link HEALTH_STATUS}, healthy by default.
+ * The checks are run by `Application.checkHealth()`
+ */
+export const HEALTH_CHECK_METHOD = Symbol("healthCheck");
+
 /**
  * Provides module implementation base.
  * Modules unify building blocks for business/app logic functionality
@@ -20,6 +43,8 @@ export class Module extends AppComponent{
 
   #name;
   #order;
+  #startTimeoutMs;
+  #stopTimeoutMs;
 
   /**
    * Allocates and configures module
@@ -32,6 +57,8 @@ export class Module extends AppComponent{
     super(app, cfg);
     this.#name = cfg.getString("name", types.genGuid());
     this.#order = cfg.getInt("order", 0);
+    this.#startTimeoutMs = cfg.getDuration("startTimeoutMs", null);
+    this.#stopTimeoutMs = cfg.getDuration("stopTimeoutMs", null);
   }
 
   /**
@@ -47,6 +74,12 @@ export class Module extends AppComponent{
   get [types.NAME_PROP](){ return this.#name; }
   get [types.ORDER_PROP](){ return this.#order; }
 
+  /** Returns module start timeout in ms configured by `startTimeoutMs`, or null to use the app default */
+  get startTimeoutMs(){ return this.#startTimeoutMs; }
+
+  /** Returns module stop timeout in ms configured by `stopTimeoutMs`, or null to use the app default */
+  get stopTimeoutMs(){ return this.#stopTimeoutMs; }
+
   /** Called by application after all modules have been created.
    * Override to patch references and startup subordinate daemons
    */
@@ -58,6 +91,19 @@ export class Module extends AppComponent{
    */
   _appBeforeCleanup(){
   }
+
+  /** Called by application {@link Application.start} after all modules have been loaded.
+   * Override to perform async initialization, such as fetching reference data, opening databases or warming caches.
+   * Modules with the same `ORDER_PROP` start concurrently, and the app is not ready until all modules have started
+   */
+  async _appStart(){
+  }
+
+  /** Called by application {@link Application.stop} in reverse start order for modules which have started.
+   * Override to asynchronously release what was acquired by {@link _appStart}
+   */
+  async _appStop(){
+  }
 }
 
 /**
@@ -65,7 +111,13 @@ export class Module extends AppComponent{
  * which are registered with the linker
  */
 export class ModuleLinker extends Linker{
-  constructor(){
-    super(Module, Module);
+  /**
+   * @param {ModuleLinker | null} [parent=null] optional parent linker scope
+   */
+  constructor(parent = null){
+    super(Module, Module, parent);
   }
+
+  /** Creates a child module linker scope, see {@link Linker.createChild} @returns {ModuleLinker} */
+  createChild(){ return new ModuleLinker(this); }
 }
@@ -0,0 +1,242 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+/*
+ Server-side (Node) chassis support. This module imports node built-ins, so it must NOT be imported
+ by browser code. It provides node-targeted modules and defaults, so the same application chassis
+ runs CLI tools and services:
+
+  const app = nodeApplication({
+    id: "tool1",
+    modules: [
+      {name: "storage", type: "azos.node.FileStorage", fileName: "./data/state.json"}
+    ]
+  });
+  await app.start();
+*/
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { webcrypto } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+import * as types from "./types.js";
+import * as aver from "./aver.js";
+import { Configuration, ConfigNode, registerType, resolveType } from "./conf.js";
+import { application, Application, AppError } from "./application.js";
+import { Module } from "./modules.js";
+import { IStorage } from "./storage.js";
+import { LOG_TYPE } from "./log.js";
+
+/**
+ * Sets node `webcrypto` as a crypto api facade used for random bytes and guid generation
+ * @returns {object | null} previously set crypto api facade
+ */
+export function useNodeCrypto(){
+  return types.setCryptoSource(webcrypto);
+}
+
+let asyncAppScope = null;
+
+/**
+ * Sets an app scope provider based on `AsyncLocalStorage`, so {@link Application.current} flows
+ * through awaits and callbacks of functions called via {@link Application.run}, e.g. request handlers of several apps hosted in one process
+ * @returns {AppScopeProvider} previous scope provider
+ */
+export function useAsyncAppScope(){
+  if (asyncAppScope === null){
+    const storage = new AsyncLocalStorage();
+    asyncAppScope = {
+      get current(){ return storage.getStore() ?? null; },
+      run: (app, fn) => storage.run(app, fn)
+    };
+  }
+  return Application.setScopeProvider(asyncAppScope);
+}
+
+/**
+ * Provides {@link IStorage} implementation persisted in a local JSON file.
+ * The file is read once when the module is created and rewritten atomically on every change.
+ * Configure the file path with `fileName` attribute, relative paths are resolved against the current directory
+ */
+export class FileStorage extends IStorage{
+  #fileName;
+  #data;
+
+  constructor(dir, cfg){
+    super(dir, cfg);
+    this.#fileName = path.resolve(aver.isNonEmptyString(cfg.getString(["fileName", "file"], null)));
+    this.#data = this.#load();
+  }
+
+  /** Returns fully qualified path of the storage file */
+  get fileName(){ return this.#fileName; }
+
+  get length(){ return this.#data.size; }
+
+  key(index){
+    const keys = [...this.#data.keys()];
+    return index >= 0 && index < keys.length ? keys[index] : null;
+  }
+
+  getItem(keyName){ return this.#data.get(`${keyName}`) ?? null; }
+
+  setItem(keyName, keyValue){
+    this.#data.set(`${keyName}`, `${keyValue}`);
+    this.#save();
+  }
+
+  removeItem(keyName){
+    if (this.#data.delete(`${keyName}`)) this.#save();
+  }
+
+  clear(){
+    this.#data.clear();
+    this.#save();
+  }
+
+  #load(){
+    const result = new Map();
+    if (!fs.existsSync(this.#fileName)) return result;
+    try{
+      const content = JSON.parse(fs.readFileSync(this.#fileName, "utf8"));
+      aver.isObject(content);
+      for(const key in content) result.set(key, `${content[key]}`);
+    } catch(e) {
+      throw new AppError(`Storage file '${this.#fileName}' could not be loaded: ${e.message}`, "FileStorage.load()", e);
+    }
+    return result;
+  }
+
+  #save(){
+    const tmp = `${this.#fileName}.tmp`;
+    fs.mkdirSync(path.dirname(this.#fileName), {recursive: true});
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.#data), null, 2), "utf8");
+    fs.renameSync(tmp, this.#fileName);
+  }
+}
+
+/**
+ * Gracefully shuts down the application when the process receives termination signals:
+ * stops the app, disposes it and then exits the process.
+ * A repeated signal received while the shutdown is in progress exits the process immediately.
+ * Config: `signals` - list of signals to handle ("SIGINT, SIGTERM" by default),
+ * `exit` - true (default) to exit the process after shutdown, `exitCode` - process exit code, 0 by default
+ */
+export class ProcessSignalHandler extends Module{
+  #signals;
+  #exit;
+  #exitCode;
+  #handler = null;
+  #shutdown = null;
+
+  constructor(dir, cfg){
+    super(dir, cfg);
+    this.#signals = cfg.getStringArray("signals", ["SIGINT", "SIGTERM"]);
+    this.#exit = cfg.getBool("exit", true);
+    this.#exitCode = cfg.getInt("exitCode", 0);
+  }
+
+  /** Returns an array of handled signal names */
+  get signals(){ return [...this.#signals]; }
+
+  /** Returns true once the shutdown has been initiated */
+  get isShuttingDown(){ return this.#shutdown !== null; }
+
+  _appAfterLoad(){
+    this.#handler = (signal) => this.#onSignal(signal);
+    for(const one of this.#signals) process.on(one, this.#handler);
+    this.writeLog(LOG_TYPE.TRACE, `Handling process signals: ${this.#signals.join(", ")}`);
+  }
+
+  _appBeforeCleanup(){
+    if (this.#handler === null) return;
+    for(const one of this.#signals) process.off(one, this.#handler);
+    this.#handler = null;
+  }
+
+  #onSignal(signal){
+    if (this.#shutdown !== null){
+      this.writeLog(LOG_TYPE.WARNING, `Got repeated signal '${signal}' during shutdown`);
+      if (this.#exit) process.exit(this.#exitCode !== 0 ? this.#exitCode : 1);
+      return;
+    }
+    this.shutdown(signal).then(() => {
+      if (this.#exit) process.exit(this.#exitCode);
+    }, (e) => {
+      this.writeLog(LOG_TYPE.ERROR, `Shutdown leaked: ${e.message}`, e);
+      if (this.#exit) process.exit(this.#exitCode !== 0 ? this.#exitCode : 1);
+    });
+  }
+
+  /**
+   * Stops and disposes the application, does not exit the process. Calling this method again returns the same promise
+   * @param {string} [reason] shutdown reason, such as a signal name
+   * @returns {Promise}
+   */
+  shutdown(reason = null){
+    if (this.#shutdown === null) this.#shutdown = this.#doShutdown(reason ?? "shutdown() call");
+    return this.#shutdown;
+  }
+
+  async #doShutdown(reason){
+    const app = this.app;
+    this.writeLog(LOG_TYPE.INFO, `Shutting down app '${app.id}' due to ${reason}`);
+    try{
+      await app.stop();
+    } catch(e) {
+      this.writeLog(LOG_TYPE.ERROR, `App stop leaked: ${e.message}`, e);
+    }
+    try{
+      types.dispose(app);
+    } catch(e) {
+      this.writeLog(LOG_TYPE.ERROR, `App dispose leaked: ${e.message}`, e);
+    }
+  }
+}
+
+/** Attribute names which the Application reads the module declarations from, in the order of precedence */
+const MODULES_ATTRS = ["modules", "module", "mods", "mod"];
+
+registerType(FileStorage, "azos.node.FileStorage");
+registerType(ProcessSignalHandler, "azos.node.ProcessSignalHandler");
+
+/**
+ * A helper factory method creates a new node application, see {@link application}.
+ * Sets node crypto source, async app scope provider and, unless `handleSignals` root config attribute is false,
+ * adds a {@link ProcessSignalHandler} module if the config does not declare one
+ * @param {object | string | Configuration | ConfigNode} cfg plain object, JSON string, Configuration or ConfigNode instance
+ * @returns {Application} New Application instance
+ */
+export function nodeApplication(cfg){
+  useNodeCrypto();
+  useAsyncAppScope();
+
+  if (cfg === undefined || cfg === null) cfg = { };
+  if (cfg instanceof ConfigNode) cfg = cfg.configuration;
+  if (types.isString(cfg) || (types.isObject(cfg) && !(cfg instanceof Configuration))) cfg = new Configuration(cfg);
+
+  if (cfg instanceof Configuration && cfg.root.getBool("handleSignals", true)){
+    const key = MODULES_ATTRS.find(one => types.isAssigned(cfg.root.get(one))) ?? MODULES_ATTRS[0];
+    const modules = cfg.root.get(key);
+    const declared = modules instanceof ConfigNode && modules.isArray && [...modules].some(({val}) => isSignalHandler(val));
+    if (!declared && (modules === undefined || modules === null || modules.isArray)){
+      cfg = cfg.patch({[key]: [{name: "processSignals", type: ProcessSignalHandler}]}, "append");
+    }
+  }
+
+  return application(cfg);
+}
+
+function isSignalHandler(node){
+  if (!(node instanceof ConfigNode) || !node.isSection) return false;
+  let type = node.get("type");
+  if (types.isString(type)){
+    try{ type = resolveType(type); }
+    catch { return false; }
+  }
+  return types.isFunction(type) && (type === ProcessSignalHandler || types.isSubclassOf(type, ProcessSignalHandler));
+}
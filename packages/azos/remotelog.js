@@ -0,0 +1,233 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+import * as types from "./types.js";
+import * as strings from "./strings.js";
+import { METHODS, HEADERS, CONTENT_TYPE } from "./coreconsts.js";
+import { ConfigError } from "./conf.js";
+import { ILog } from "./ilog.js";
+import { IClient, ClientError } from "./client.js";
+import { LOG_TYPE, writeConsole, exceptionToData } from "./log.js";
+
+/**
+ * Ships log messages to a remote server in batches of `{app, instance, messages}` posted as JSON.
+ * Messages are queued and shipped every `flushIntervalMs` (5 sec by default) or as soon as `maxBatchSize` (100) messages are queued.
+ * Failed batches are retried with exponential backoff starting at `retryMs` (1 sec) up to `retryMaxMs` (1 min),
+ * a batch which failed `maxRetries` (5) times is dropped. When the queue exceeds `maxQueueSize` (1000) the oldest messages are dropped.
+ *
+ * Configure either `client` - a name of {@link IClient} module to post to its `uri` ("log" by default) with the client auth,
+ * or `url` - an absolute endpoint url to post to via plain `fetch()`.
+ * In browsers, pending messages are flushed via `navigator.sendBeacon()` when the page is hidden or unloaded, unless `beacon` is false.
+ * Shipping failures are reported to console only, and messages which the shipping client logs while shipping are not queued,
+ * so a failing endpoint does not feed itself with its own errors
+ */
+export class RemoteLog extends ILog{
+  #clientName;
+  #uri;
+  #url;
+  #flushIntervalMs;
+  #maxBatchSize;
+  #maxQueueSize;
+  #maxRetries;
+  #retryMs;
+  #retryMaxMs;
+  #beacon;
+
+  #client = null;
+  #queue = [];
+  #timer = null;
+  #unload = null;
+  #flush = null;
+  #shipping = false;
+  #attempts = 0;
+  #retryAt = 0;
+  #shipped = 0;
+  #dropped = 0;
+
+  constructor(dir, cfg){
+    super(dir, cfg);
+    this.#clientName = cfg.getString("client", null);
+    this.#uri = cfg.getString("uri", "log");
+    this.#url = cfg.getString("url", null);
+    if (strings.isEmpty(this.#clientName) && strings.isEmpty(this.#url))
+      throw new ConfigError("RemoteLog requires either `client` module name or `url` endpoint", "RemoteLog.ctor()");
+
+    this.#flushIntervalMs = types.atMin(cfg.getDuration("flushIntervalMs", 5000), 10);
+    this.#maxBatchSize = types.atMin(cfg.getInt("maxBatchSize", 100), 1);
+    this.#maxQueueSize = types.atMin(cfg.getInt("maxQueueSize", 1000), this.#maxBatchSize);
+    this.#maxRetries = types.atMin(cfg.getInt("maxRetries", 5), 0);
+    this.#retryMs = types.atMin(cfg.getDuration("retryMs", 1000), 1);
+    this.#retryMaxMs = types.atMin(cfg.getDuration("retryMaxMs", 60_000), this.#retryMs);
+    this.#beacon = cfg.getBool("beacon", true);
+  }
+
+  /** Returns the number of queued messages which have not been shipped yet */
+  get pending(){ return this.#queue.length; }
+
+  /** Returns the number of successfully shipped messages */
+  get shipped(){ return this.#shipped; }
+
+  /** Returns the number of messages dropped due to queue overflow or exhausted retries */
+  get dropped(){ return this.#dropped; }
+
+  /** Returns the shipping endpoint url */
+  get url(){ return this.#client !== null ? this.#client.rootUrl + this.#uri.replace(/^\/+/, "") : this.#url; }
+
+  _appAfterLoad(){
+    if (!strings.isEmpty(this.#clientName)) this.#client = this.app.moduleLinker.resolve(IClient, this.#clientName);
+
+    this.#timer = setInterval(() => this.#tick(), this.#flushIntervalMs);
+    if (types.isFunction(this.#timer.unref)) this.#timer.unref();//node: do not keep the process alive just because of the timer
+
+    if (this.#beacon && typeof(window) !== "undefined"){
+      this.#unload = () => { if (document.visibilityState !== "visible") this.flushBeacon(); };
+      window.addEventListener("pagehide", this.#unload);
+      document.addEventListener("visibilitychange", this.#unload);
+    }
+  }
+
+  _appBeforeCleanup(){
+    if (this.#timer !== null) clearInterval(this.#timer);
+    this.#timer = null;
+    if (this.#unload !== null){
+      window.removeEventListener("pagehide", this.#unload);
+      document.removeEventListener("visibilitychange", this.#unload);
+      this.#unload = null;
+    }
+    if (this.#queue.length > 0 && !this.flushBeacon()) this.flush();//last chance, not awaited
+  }
+
+  _doWrite(msg){
+    const client = this.#client;
+    if (this.#shipping && client !== null && msg.from === client.logFrom){
+      writeConsole(msg, `app('${this.app.id}')`, this.constructor.name);
+      return;
+    }
+
+    this.#queue.push(msg);
+    if (this.#queue.length > this.#maxQueueSize){
+      const excess = this.#queue.length - this.#maxQueueSize;
+      this.#queue.splice(0, excess);
+      this.#dropped += excess;
+    }
+    if (this.#queue.length >= this.#maxBatchSize && this.#timer !== null && Date.now() >= this.#retryAt) this.flush();
+  }
+
+  #tick(){
+    if (this.#queue.length > 0 && Date.now() >= this.#retryAt) this.flush();
+  }
+
+  /**
+   * Ships all queued messages in batches regardless of retry backoff, stops at the first failed batch which is then retried later.
+   * Concurrent calls share the same flush
+   * @returns {Promise<int>} number of shipped messages
+   */
+  flush(){
+    if (this.#flush === null){
+      this.#flush = this.#doFlush().finally(() => this.#flush = null);
+    }
+    return this.#flush;
+  }
+
+  async #doFlush(){
+    let result = 0;
+    while(this.#queue.length > 0){
+      const batch = this.#queue.slice(0, this.#maxBatchSize);
+      try{
+        await this.#ship(batch);
+      } catch(e) {
+        this.#failed(batch, e);
+        break;
+      }
+      this.#remove(batch);
+      this.#attempts = 0;
+      this.#retryAt = 0;
+      this.#shipped += batch.length;
+      result += batch.length;
+    }
+    return result;
+  }
+
+  async #ship(batch){
+    const body = this.#makeBody(batch);
+    this.#shipping = true;
+    try{
+      if (this.#client !== null){
+        await this.#client.post(this.#uri, body, {});
+      } else {
+        const response = await fetch(this.#url, {
+          method: METHODS.POST,
+          headers: {[HEADERS.CONTENT_TYPE]: CONTENT_TYPE.JSON},
+          body: JSON.stringify(body),
+          keepalive: true
+        });
+        if (!response.ok) throw new ClientError(`Http code ${response.status}/${response.statusText}`, "RemoteLog.ship()", null, response.status);
+      }
+    } finally {
+      this.#shipping = false;
+    }
+  }
+
+  #failed(batch, error){
+    this.#attempts++;
+    let text;
+    if (this.#attempts > this.#maxRetries){
+      const count = this.#remove(batch);
+      this.#dropped += count;
+      this.#attempts = 0;
+      this.#retryAt = 0;
+      text = `Dropped ${count} log message(s) after ${this.#maxRetries + 1} failed shipping attempts: ${error.message}`;
+    } else {
+      const delay = Math.min(this.#retryMs * 2 ** (this.#attempts - 1), this.#retryMaxMs);
+      this.#retryAt = Date.now() + delay;
+      text = `Log shipping failed, retry #${this.#attempts} in ${delay} ms: ${error.message}`;
+    }
+    //by design: never write into app log, as it would feed this log with its own failures
+    writeConsole({type: LOG_TYPE.WARNING, text, exception: error}, `app('${this.app.id}')`, this.constructor.name);
+  }
+
+  /**
+   * Synchronously hands all queued messages over to `navigator.sendBeacon()`, which delivers them even if the page is being unloaded.
+   * Beacons can not carry client auth headers, so the endpoint has to accept them by other means, e.g. cookies
+   * @returns {boolean} true if the messages were queued by the user agent for delivery, false if beacons are not available or were refused
+   */
+  flushBeacon(){
+    if (this.#queue.length === 0) return true;
+    const nav = globalThis.navigator;
+    if (!nav || !types.isFunction(nav.sendBeacon)) return false;
+
+    const batch = this.#queue.slice();
+    let blob;
+    try{
+      blob = new Blob([JSON.stringify(this.#makeBody(batch))], {type: CONTENT_TYPE.JSON});
+    } catch(e) {
+      //called from page unload listeners and app cleanup, so it must not throw
+      writeConsole({type: LOG_TYPE.WARNING, text: `Log beacon could not be made: ${e.message}`, exception: e}, `app('${this.app.id}')`, this.constructor.name);
+      return false;
+    }
+    if (!nav.sendBeacon(this.url, blob)) return false;
+    this.#remove(batch);
+    this.#shipped += batch.length;
+    return true;
+  }
+
+  /** Removes the batch messages which are still queued, as the queue may have overflown while the batch was shipping */
+  #remove(batch){
+    const set = new Set(batch);
+    const count = this.#queue.length;
+    this.#queue = this.#queue.filter(msg => !set.has(msg));
+    return count - this.#queue.length;
+  }
+
+  #makeBody(batch){
+    const app = this.app;
+    return {
+      app: app.id,
+      instance: app.instanceId,
+      messages: batch.map(msg => ({...msg, exception: exceptionToData(msg.exception, app)}))
+    };
+  }
+}
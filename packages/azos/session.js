@@ -11,10 +11,42 @@ import { Application } from "./application.js";
 import { AppSync, SYNC_EVT_TYPE_SESSION_CHANGE } from "./appsync.js";
 import { IStorage } from "./storage.js";
 import { LOG_TYPE } from "./log.js";
+import { Event, CancelableEvent, EventEmitter, vetoable } from "./events.js";
 
 
 export const STORAGE_SESSION_KEY = "az-session";
 
+/**
+ * Emitted before the session user changes. Listeners may veto the change, e.g. to block a logout while there is unsaved work.
+ * The bag is `{was, user}`
+ */
+export class UserChangingEvent extends CancelableEvent{
+  constructor(sender, was, user){ super(sender, {was, user}); }
+
+  /** Current session user @returns {User} */
+  get was(){ return this.bag.was; }
+
+  /** The user which is about to be set @returns {User} */
+  get user(){ return this.bag.user; }
+}
+
+/**
+ * Emitted after the session user has changed, including changes synchronized from other app instances.
+ * The bag is `{was, user, isSync}`
+ */
+export class UserChangedEvent extends Event{
+  constructor(sender, was, user, isSync = false){ super(sender, {was, user, isSync}); }
+
+  /** Previous session user @returns {User} */
+  get was(){ return this.bag.was; }
+
+  /** New session user @returns {User} */
+  get user(){ return this.bag.user; }
+
+  /** True when the change came from another app instance via {@link Session._sync} */
+  get isSync(){ return this.bag.isSync; }
+}
+
 
 /**
  * Session holds data about user session: user, culture, options etc.
@@ -28,6 +60,7 @@ export class Session extends types.DisposableObject{
   #isoLang;
   #culture;
   #settings;
+  #events;
 
     //todo settings
   //todo culture...
@@ -38,9 +71,11 @@ export class Session extends types.DisposableObject{
     super();
     this.#app = aver.isOf(app, Application);
     this.#user = User.invalid;
+    this.#events = new EventEmitter(this);
   }
 
   [types.DESTRUCTOR_METHOD](){
+    this.#events.clear();
   }
 
   /** @returns {Application} */
@@ -52,16 +87,36 @@ export class Session extends types.DisposableObject{
    * @returns {User}
    */
   get user(){ return this.#user; }
-  set user(usr){
+  set user(usr){ this.changeUser(usr); }
+
+  /**
+   * Returns an emitter of {@link UserChangingEvent} which listeners may veto, and {@link UserChangedEvent}
+   * @returns {EventEmitter}
+   */
+  get events(){ return this.#events; }
+
+  /**
+   * Sets the session user unless a {@link UserChangingEvent} listener vetoes the change.
+   * The `user` property setter calls this method ignoring the outcome, so call it directly when you need to know vetoes
+   * @param {User | null} usr new user, null resets the session to {@link User.invalid}
+   * @returns {VetoableResult} outcome of the change, `done` is true when the user was set or has not changed
+   */
+  changeUser(usr){
     const was = this.#user;
     if (!types.isAssigned(usr)) usr = User.invalid;
-    this.#user = aver.isOf(usr, User);
+    aver.isOf(usr, User);
+    if (usr === was) return {done: true, vetoes: [], result: usr, errors: []};
 
-    if (this.#user !== was){ //Store local user and Broadcast change
-      this.#storeUser(this.#user);
-      //broadcast user change
+    const got = vetoable(this.#events, new UserChangingEvent(this, was, usr), () => {
+      this.#user = usr;
+      //Store local user and Broadcast change
+      this.#storeUser(usr);
       this.#broadcastSessionChange();
-    }
+      return usr;
+    }, new UserChangedEvent(this, was, usr));
+
+    if (!got.done) this.#app.log.write({type: LOG_TYPE.WARNING, from: "sess.changeUser()", text: `User change vetoed: ${got.vetoes.join("; ")}`});
+    return got;
   }
 
   /**
@@ -73,9 +128,11 @@ export class Session extends types.DisposableObject{
     if (!types.isObject(init)) return;
     this.#app.log.write({type: LOG_TYPE.INFO, from: "sess._sync()", text: "Sync user", params: init});
     const usr = new User(init);
-    this.#user = usr;//notice assignment into pvt and no broadcast change
+    const was = this.#user;
+    this.#user = usr;//notice assignment into pvt and no broadcast change; the change already happened elsewhere, so it can not be vetoed
 
-    //TBD: We might need to rise event here about session change
+    try{ this.#events.emit(new UserChangedEvent(this, was, usr, true)); }
+    catch(e){ this.#app.log.write({type: LOG_TYPE.ERROR, from: "sess._sync()", text: `User change event handler leaked: ${e.message}`, exception: e}); }
   }
 
   #broadcastSessionChange(){
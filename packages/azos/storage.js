@@ -8,7 +8,7 @@
 
 import * as aver from "./aver.js";
 import { ABSTRACT } from "./coreconsts.js";
-import { Module } from "./modules.js";
+import { Module, HEALTH_CHECK_METHOD } from "./modules.js";
 
 /**
  * Provides abstraction for working with local/session storage,
@@ -61,6 +61,19 @@ export class IStorage extends Module{
    * @returns {undefined}
   */
   clear(){ throw ABSTRACT("clear()"); }
+
+  /** Checks storage availability by writing, reading back and removing a probe item */
+  async [HEALTH_CHECK_METHOD](){
+    const key = "__azos_health_probe__";
+    const value = `${Date.now()}`;
+    this.setItem(key, value);
+    try{
+      aver.areEqual(value, this.getItem(key));
+    } finally {
+      this.removeItem(key);
+    }
+    return {length: this.length};
+  }
 }
 
 /** Provides abstraction for working with local/session storage in the Browser. */
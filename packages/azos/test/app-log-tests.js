@@ -7,11 +7,13 @@
 //import { describe, it } from "mocha";
 import { defineUnit as describe, defineCase as it, condir } from "../run.js";
 import * as aver from "../aver.js";
-import { ILog } from "../ilog.js";
+import { ILog, MemoryLog, CompositeLog } from "../ilog.js";
+import { RemoteLog } from "../remotelog.js";
+import { IClient } from "../client.js";
 import * as log from "../log.js";
 import { application } from "../application.js";
 import { Verbatim } from "../conf.js";
-import { dispose, AzosError } from "../types.js";
+import { dispose, AzosError, NAME_PROP, DISPOSED_PROP } from "../types.js";
 
 
 class IMemoryLog extends ILog{
@@ -51,6 +53,309 @@ describe("#AppLog", function() {
 
 });
 
+describe("#AppLog::MemoryLog", function() {
+
+  it("ring buffer",   function() {
+    const app = application({ modules: [{name: "log", type: MemoryLog, capacity: 3}] });
+    try{
+      const mlog = app.moduleLinker.resolve(MemoryLog);
+      aver.areEqual(mlog, app.log);
+      aver.areEqual(3, mlog.capacity);
+      aver.areEqual(0, mlog.count);
+
+      for(let i = 1; i <= 5; i++) app.log.write({text: `Message ${i}`});
+      aver.areEqual(3, mlog.count);
+      aver.areArraysEquivalent(["Message 3", "Message 4", "Message 5"], mlog.messages.map(m => m.text));
+      aver.isTrue(mlog.messages[0].utcEpoch <= Date.now());
+
+      aver.areEqual(3, mlog.clear());
+      aver.areEqual(0, mlog.messages.length);
+      app.log.write({text: "After"});
+      aver.areArraysEquivalent(["After"], mlog.messages.map(m => m.text));
+    } finally { dispose(app); }
+  });
+
+  it("query",   function() {
+    const app = application({ modules: [{name: "log", type: MemoryLog}] });
+    try{
+      const mlog = app.moduleLinker.resolve(MemoryLog);
+      aver.areEqual(1000, mlog.capacity);
+      const t0 = Date.now();
+      app.log.write({type: log.LOG_TYPE.DEBUG, topic: "db", from: "repo.load()", text: "loading"});
+      app.log.write({type: log.LOG_TYPE.WARNING, topic: "db", from: "repo.save()", text: "slow save"});
+      app.log.write({type: log.LOG_TYPE.ERROR, topic: "ui", from: "form.submit()", text: "submit failed"});
+      app.log.write({type: log.LOG_TYPE.INFO, topic: "UI", from: "form.show()", text: "shown"});
+
+      const texts = (filter) => mlog.query(filter).map(m => m.text);
+      aver.areEqual(4, mlog.query().length);
+      aver.areArraysEquivalent(["slow save", "submit failed"], texts({minType: "warning"}));
+      aver.areArraysEquivalent(["loading", "shown"], texts({types: [log.LOG_TYPE.DEBUG, log.LOG_TYPE.INFO]}));
+      aver.areArraysEquivalent(["submit failed", "shown"], texts({topic: "ui"}));
+      aver.areArraysEquivalent(["loading", "slow save"], texts({from: /^repo\./}));
+      aver.areArraysEquivalent(["slow save", "submit failed"], texts({text: /fail|slow/, minType: log.LOG_TYPE.INFO}));
+      aver.areArraysEquivalent(["shown"], texts({topic: "ui", take: 1}));
+      aver.areEqual(4, mlog.query({start: t0, end: new Date()}).length);
+      aver.areEqual(0, mlog.query({start: Date.now() + 60_000}).length);
+      aver.areEqual(0, mlog.query({end: new Date(t0 - 1)}).length);
+
+      app.log.write({type: "error", topic: "ui", text: "lowercase"});
+      aver.areEqual(log.LOG_TYPE.ERROR, mlog.query({take: 1})[0].type);
+      aver.areArraysEquivalent(["submit failed", "lowercase"], texts({minType: "ERROR"}));
+      aver.areArraysEquivalent(["submit failed", "lowercase"], texts({types: ["error"]}));
+    } finally { dispose(app); }
+  });
+
+  it("toJson()",   function() {
+    const app = application({ id: "mlog-json", modules: [{name: "log", type: MemoryLog}] });
+    try{
+      const mlog = app.moduleLinker.resolve(MemoryLog);
+      app.log.write({type: log.LOG_TYPE.INFO, text: "fine"});
+      app.log.write({type: log.LOG_TYPE.ERROR, text: "bad", exception: new AzosError("crap", "test", null, 123)});
+
+      const got = JSON.parse(mlog.toJson());
+      aver.areEqual("mlog-json", got.app);
+      aver.areEqual(app.instanceId, got.instance);
+      aver.areEqual(2, got.messages.length);
+      aver.isNull(got.messages[0].exception);
+      aver.areEqual("crap", got.messages[1].exception.Message);
+      aver.areEqual(123, got.messages[1].exception.Code);
+
+      const errors = JSON.parse(mlog.toJson({minType: log.LOG_TYPE.ERROR}, 2));
+      aver.areEqual(1, errors.messages.length);
+      aver.areEqual("bad", errors.messages[0].text);
+      aver.isOf(mlog.messages[1].exception, AzosError);//retained messages are not altered by export
+    } finally { dispose(app); }
+  });
+
+});
+
+describe("#AppLog::RemoteLog", function() {
+
+  const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+  //mocks global fetch, disposes the app and lets its last-chance flush complete before restoring the fetch
+  async function withFetch(app, fetch, body){
+    const fetch0 = globalThis.fetch;
+    globalThis.fetch = fetch;
+    try{ await body(app.moduleLinker.resolve(RemoteLog)); }
+    finally {
+      dispose(app);
+      await delay(10);
+      globalThis.fetch = fetch0;
+    }
+  }
+
+  it("ships batches via fetch",   async function() {
+    const app = application({ id: "rlog", modules: [{name: "log", type: RemoteLog, url: "https://log.local/ingest", maxBatchSize: 2, flushIntervalMs: "1m"}] });
+    const batches = [];
+    await withFetch(app, async (url, opts) => {
+      batches.push({url, method: opts.method, body: JSON.parse(opts.body)});
+      return new Response("", {status: 200});
+    }, async (rlog) => {
+      aver.areEqual("https://log.local/ingest", rlog.url);
+      app.log.write({text: "m1"});
+      aver.areEqual(1, rlog.pending);
+      aver.areEqual(0, batches.length);
+
+      app.log.write({text: "m2", exception: new AzosError("crap")});//full batch ships at once
+      app.log.write({text: "m3"});
+      await rlog.flush();
+      aver.areEqual(0, rlog.pending);
+      aver.areEqual(3, rlog.shipped);
+      aver.areArraysEquivalent(["m1", "m2", "m3"], batches.flatMap(b => b.body.messages.map(m => m.text)));
+      aver.isTrue(batches.every(b => b.body.messages.length <= 2));
+      aver.areEqual("POST", batches[0].method);
+      aver.areEqual("rlog", batches[0].body.app);
+      aver.areEqual(app.instanceId, batches[0].body.instance);
+      aver.areEqual("crap", batches[0].body.messages[1].exception.Message);
+      aver.areEqual(0, await rlog.flush());
+    });
+  });
+
+  it("retries, drops and overflows",   async function() {
+    const app = application({ modules: [{name: "log", type: RemoteLog, url: "https://log.local/ingest",
+      maxBatchSize: 2, maxQueueSize: 3, maxRetries: 1, retryMs: "1m", flushIntervalMs: "1m"}] });
+    let fail = true;
+    let calls = 0;
+    await withFetch(app, async () => { calls++; return new Response("", {status: fail ? 503 : 200}); }, async (rlog) => {
+      app.log.write({text: "m1"});
+      app.log.write({text: "m2"});//full batch triggers flush which fails and schedules a retry
+      await rlog.flush();
+      aver.areEqual(1, calls);
+      aver.areEqual(2, rlog.pending);
+
+      app.log.write({text: "m3"});
+      app.log.write({text: "m4"});//overflow drops the oldest, no auto flush during retry backoff
+      aver.areEqual(3, rlog.pending);
+      aver.areEqual(1, rlog.dropped);
+
+      aver.areEqual(0, await rlog.flush());//the second failure exhausts retries and drops the batch
+      aver.areEqual(2, calls);
+      aver.areEqual(1, rlog.pending);
+      aver.areEqual(3, rlog.dropped);
+
+      fail = false;
+      aver.areEqual(1, await rlog.flush());
+      aver.areEqual(0, rlog.pending);
+      aver.areEqual(1, rlog.shipped);
+    });
+  });
+
+  it("ships via IClient without logging its own failures",   async function() {
+    const app = application({ logLevel: "debug", modules: [
+      {name: "logapi", type: IClient, url: "https://log.local/v1", useOAuth: false, accessToken: "tkn1"},
+      {name: "log", type: RemoteLog, client: "logapi", uri: "/ingest", maxRetries: 3, flushIntervalMs: "1m"}
+    ]});
+    const requests = [];
+    let fail = true;
+    await withFetch(app, async (req) => {
+      if (fail) throw new Error("Network down");
+      requests.push({url: req.url, auth: req.headers.get("Authorization"), body: await req.json()});
+      return new Response("", {status: 200});
+    }, async (rlog) => {
+      aver.areEqual("https://log.local/v1/ingest", rlog.url);
+      app.log.write({text: "m1"});
+      aver.areEqual(0, await rlog.flush());
+      aver.areEqual(1, rlog.pending);//the client failure trace was not queued
+
+      fail = false;
+      aver.areEqual(1, await rlog.flush());
+      aver.areEqual(1, requests.length);
+      aver.areEqual("https://log.local/v1/ingest", requests[0].url);
+      aver.areEqual("Bearer tkn1", requests[0].auth);
+      aver.areEqual("m1", requests[0].body.messages[0].text);
+    });
+  });
+
+  it("flushBeacon()",   async function() {
+    const app = application({ modules: [{name: "log", type: RemoteLog, url: "https://log.local/ingest", flushIntervalMs: "1m"}] });
+    const nav = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+    const beacons = [];
+    let accept = false;
+    Object.defineProperty(globalThis, "navigator", {configurable: true, value: {sendBeacon: (url, data) => { beacons.push({url, data}); return accept; }}});
+    try{
+      await withFetch(app, async () => new Response("", {status: 200}), async (rlog) => {
+        aver.isTrue(rlog.flushBeacon());//nothing to send
+        app.log.write({text: "m1"});
+        aver.isFalse(rlog.flushBeacon());
+        aver.areEqual(1, rlog.pending);
+
+        accept = true;
+        aver.isTrue(rlog.flushBeacon());
+        aver.areEqual(0, rlog.pending);
+        aver.areEqual(1, rlog.shipped);
+        aver.areEqual("https://log.local/ingest", beacons[1].url);
+        aver.areEqual("m1", JSON.parse(await beacons[1].data.text()).messages[0].text);
+
+        const params = {};
+        params.self = params;
+        rlog._doWrite({text: "circular", params});
+        aver.isFalse(rlog.flushBeacon());//does not throw
+        aver.areEqual(1, rlog.pending);
+        aver.areEqual(2, beacons.length);
+      });
+    } finally {
+      if (nav !== undefined) Object.defineProperty(globalThis, "navigator", nav);
+      else delete globalThis.navigator;
+    }
+  });
+
+  it("requires endpoint",   function() {
+    aver.throws(() => application({ modules: [{name: "log", type: RemoteLog}] }), "requires either `client`");
+  });
+
+});
+
+describe("#AppLog::CompositeLog", function() {
+
+  const texts = (log) => log.messages.map(m => m.text);
+
+  it("routes by severity and topic",   function() {
+    const app = application({ modules: [{name: "log", type: CompositeLog, sinks: [
+      {name: "all", type: MemoryLog},
+      {name: "errors", type: MemoryLog, minType: "error"},
+      {name: "ui", type: MemoryLog, include: "ui*, form", exclude: "ui.noise"}
+    ]}]});
+    try{
+      const clog = app.moduleLinker.resolve(CompositeLog);
+      aver.areEqual(clog, app.log);
+      aver.isNull(app.moduleLinker.tryResolve(MemoryLog));//sinks are not registered with the linker
+      const [all, errors, ui] = clog.sinks;
+      aver.areEqual("errors", errors[NAME_PROP]);
+
+      const guid = app.log.write({type: log.LOG_TYPE.DEBUG, topic: "ui.grid", text: "d1"});
+      app.log.write({type: log.LOG_TYPE.ERROR, topic: "db", text: "e1"});
+      app.log.write({type: log.LOG_TYPE.CRITICAL, topic: "FORM", text: "c1"});
+      app.log.write({type: log.LOG_TYPE.INFO, topic: "ui.noise", text: "i1"});
+      app.log.write({type: log.LOG_TYPE.INFO, text: "i2"});
+
+      aver.areArraysEquivalent(["d1", "e1", "c1", "i1", "i2"], texts(all));
+      aver.areArraysEquivalent(["e1", "c1"], texts(errors));
+      aver.areArraysEquivalent(["d1", "c1"], texts(ui));
+      aver.areEqual(guid, ui.messages[0].guid);//the same message is shared by sinks
+      aver.areEqual(3, clog.stats[1].filtered);
+      aver.areEqual(2, clog.stats[2].written);
+
+      app.log.write({type: "critical", topic: "db", text: "c2"});
+      aver.areArraysEquivalent(["e1", "c1", "c2"], texts(errors));
+    } finally { dispose(app); }
+  });
+
+  it("throttles and isolates sink failures",   async function() {
+    class BadLog extends ILog{
+      constructor(dir, cfg){ super(dir, cfg); }
+      _doWrite(){ throw new Error("sink down"); }
+    }
+    const app = application({ modules: [{name: "log", type: CompositeLog, sinks: [
+      {name: "bad", type: BadLog},
+      {name: "slow", type: MemoryLog, throttle: 2, throttleIntervalMs: 30}
+    ]}]});
+    try{
+      const clog = app.moduleLinker.resolve(CompositeLog);
+      const slow = clog.sinks[1];
+      for(let i = 1; i <= 4; i++) app.log.write({text: `m${i}`});
+      aver.areArraysEquivalent(["m1", "m2"], texts(slow));
+      aver.areEqual(2, clog.stats[1].throttled);
+
+      await new Promise(r => setTimeout(r, 40));
+      app.log.write({text: "m5"});
+      aver.areArraysEquivalent(["m1", "m2", "Throttled 2 message(s)", "m5"], texts(slow));
+      aver.areEqual(log.LOG_TYPE.WARNING, slow.messages[2].type);
+    } finally { dispose(app); }
+  });
+
+  it("sinks lifecycle",   async function() {
+    const calls = [];
+    class LifeLog extends MemoryLog{
+      constructor(dir, cfg){ super(dir, cfg); }
+      _appAfterLoad(){ calls.push(`load:${this[NAME_PROP]}`); }
+      _appBeforeCleanup(){ calls.push(`cleanup:${this[NAME_PROP]}`); }
+      async _appStart(){ calls.push(`start:${this[NAME_PROP]}`); }
+      async _appStop(){ calls.push(`stop:${this[NAME_PROP]}`); }
+    }
+    const app = application({ modules: [{name: "log", type: CompositeLog, sinks: [{name: "a", type: LifeLog}, {name: "b", type: LifeLog}]}]});
+    let sinks;
+    try{
+      sinks = app.moduleLinker.resolve(CompositeLog).sinks;
+      await app.start();
+      await app.stop();
+    } finally { dispose(app); }
+    aver.areArraysEquivalent(["load:a", "load:b", "start:a", "start:b", "stop:a", "stop:b", "cleanup:b", "cleanup:a"], calls);
+    aver.isTrue(sinks.every(one => one[DISPOSED_PROP]));
+    aver.throws(() => application({ modules: [{name: "log", type: CompositeLog}] }), "requires at least one sink");
+  });
+
+  it("disposes made sinks when a later one fails",   function() {
+    const made = [];
+    class TrackLog extends MemoryLog{ constructor(dir, cfg){ super(dir, cfg); made.push(this); } }
+    class FailLog extends MemoryLog{ constructor(dir, cfg){ super(dir, cfg); throw new Error("no sink today"); } }
+    aver.throws(() => application({ modules: [{name: "log", type: CompositeLog, sinks: [{name: "a", type: TrackLog}, {name: "b", type: FailLog}]}]}), "no sink today");
+    aver.areEqual(1, made.length);
+    aver.isTrue(made[0][DISPOSED_PROP]);
+  });
+
+});
+
 describe("Log.Common", function() {
 
   it("exceptionToData(new Error())",   function() {
@@ -7,10 +7,21 @@
 //import { describe, it } from "mocha";
 import { defineUnit as describe, defineCase as it } from "../run.js";
 import { ABSTRACT } from "../coreconsts.js"
-import { dispose } from "../types.js";
+import { dispose, NAME_PROP, DISPOSED_PROP } from "../types.js";
+import { registerType, unregisterType, makeNew, config } from "../conf.js";
 import * as aver from "../aver.js";
-import { application } from "../application.js";
-import { Module } from "../modules.js";
+import { application, Application, NopApplication, SyncAppScope, APP_STATE } from "../application.js";
+import { Module, DEPENDENCIES_PROP, HEALTH_STATUS, HEALTH_CHECK_METHOD } from "../modules.js";
+import { IClient } from "../client.js";
+import { ConfigChangeEvent } from "../conf.js";
+import { LOG_TYPE } from "../log.js";
+import { ILog } from "../ilog.js";
+import { AppComponent } from "../components.js";
+import { IStorage } from "../storage.js";
+import { AppSync } from "../appsync.js";
+import { INJECT_PROP, LinkerError } from "../linker.js";
+import { UserChangingEvent, UserChangedEvent } from "../session.js";
+import { User } from "../security.js";
 
 
 class IWeather extends Module{
@@ -97,5 +108,766 @@ describe("#AppModule", function() {
     dispose(app);
   });
 
+  it("module types by moniker",   function() {
+    registerType(OhioNews, "tests.news.Ohio");
+    registerType(ClevelandWeather, "tests.weather.Cleveland");
+    try{
+      const app = application(`{"modules": [{"name": "news", "type": "tests.news.Ohio"}]}`);
+      aver.isOf(app.moduleLinker.resolve(INews), OhioNews);
+      dispose(app);
+
+      aver.throws(() => application({
+        modules: [
+          {name: "news", type: "tests.news.Iowa"},
+          {name: "weather", type: "tests.weather.Cleveland"},
+          {name: "other", type: "Date"}
+        ]
+      }), "'/modules/#0/type' Unknown type moniker 'tests.news.Iowa'.; '/modules/#2/type' Unknown type moniker 'Date'");
+    } finally {
+      unregisterType("tests.news.Ohio");
+      unregisterType("tests.weather.Cleveland");
+    }
+  });
+
+  it("$env overlay of app without envName",   function() {
+    const app = application({
+      modules: [{name: "news", type: UsNews}],
+      $env: {
+        local: { modules: [{name: "weather", type: ClevelandWeather}], $merge: "append" },
+        prod: { modules: [] }
+      }
+    });
+    try{
+      aver.areEqual("local", app.envName);
+      const news = app.moduleLinker.resolve(INews);//UsNews needs weather which comes from the "local" overlay
+      aver.isTrue(news.getNews("Akron").indexOf("sunny in Akron") > 0);
+    } finally { dispose(app); }
+  });
+
+
+});
+
+
+class Greeter extends Module{
+  #greeting;
+  #changes = 0;
+  constructor(dir, cfg){ super(dir, cfg); this.#greeting = cfg.getString("greeting", "Hi"); }
+  get greeting(){ return this.#greeting; }
+  get changes(){ return this.#changes; }
+  _appConfigChanged(cfg, evt){
+    super._appConfigChanged(cfg, evt);
+    this.#greeting = cfg.getString("greeting", "Hi");
+    this.#changes++;
+  }
+}
+
+describe("#AppModule::ConfigChange", function() {
+
+  const CFG = {
+    id: "app1",
+    logLevel: LOG_TYPE.INFO,
+    modules: [
+      {name: "g1", type: Greeter, greeting: "Hello"},
+      {name: "g2", type: Greeter},
+      {name: "api", type: IClient, url: "https://api.local", defaultTimeoutMs: 1000}
+    ]
+  };
+
+  it("patch reconfigures affected modules",   function() {
+    const app = application(CFG);
+    try{
+      const g1 = app.moduleLinker.resolve(Greeter, "g1");
+      const g2 = app.moduleLinker.resolve(Greeter, "g2");
+      const api = app.moduleLinker.resolve(IClient);
+      const oldCfg = app.config;
+
+      const emitted = [];
+      app.configEvents.subscribe(e => emitted.push(e), ConfigChangeEvent);
+
+      const evt = app.patchConfig({
+        logLevel: LOG_TYPE.DEBUG,
+        modules: [{name: "g1", greeting: "Hola", logLevel: LOG_TYPE.ERROR}, {name: "api", defaultTimeoutMs: 2500}]
+      }, "merge");
+
+      aver.isOf(evt, ConfigChangeEvent);
+      aver.areArraysEquivalent(["/logLevel", "/modules/#0/greeting", "/modules/#0/logLevel", "/modules/#2/defaultTimeoutMs"], evt.changes);
+      aver.areEqual(oldCfg, evt.oldConfig);
+      aver.areEqual(app.config, evt.newConfig);
+      aver.areNotEqual(oldCfg, app.config);
+      aver.areEqual(1, emitted.length);
+      aver.areEqual(evt, emitted[0]);
+
+      aver.areEqual(LOG_TYPE.DEBUG, app.logLevel);
+      aver.areEqual("Hola", g1.greeting);
+      aver.areEqual(LOG_TYPE.ERROR, g1.logLevel);
+      aver.areEqual(1, g1.changes);
+      aver.areEqual(0, g2.changes);//not affected
+      aver.areEqual(2500, api.defaultTimeoutMs);
+    } finally { dispose(app); }
+  });
+
+  it("no changes",   function() {
+    const app = application(CFG);
+    try{
+      let emitted = 0;
+      app.configEvents.subscribe(() => emitted++, ConfigChangeEvent);
+      const old = app.config;
+      const evt = app.patchConfig({id: "app1"});
+      aver.areEqual(0, evt.changes.length);
+      aver.areEqual(0, emitted);
+      aver.areEqual(old, app.config);
+    } finally { dispose(app); }
+  });
+
+  it("replace is atomic",   function() {
+    const app = application(CFG);
+    try{
+      const g1 = app.moduleLinker.resolve(Greeter, "g1");
+      const old = app.config;
+
+      aver.throws(() => app.replaceConfig({...CFG, logLevel: LOG_TYPE.DEBUG, modules: CFG.modules.slice(1)}), "requires app restart: module count changed from 3 to 2");
+      aver.throws(() => app.replaceConfig({...CFG, modules: [{...CFG.modules[0], name: "g3"}, CFG.modules[1], CFG.modules[2]]}), "module 'Greeter");
+      aver.throws(() => app.replaceConfig({...CFG, modules: [{...CFG.modules[0], type: IClient}, CFG.modules[1], CFG.modules[2]]}), "renamed or retyped");
+
+      aver.areEqual(old, app.config);
+      aver.areEqual(LOG_TYPE.INFO, app.logLevel);
+      aver.areEqual(0, g1.changes);
+    } finally { dispose(app); }
+    aver.throws(() => app.replaceConfig(CFG), "already disposed");
+  });
+
+  it("replace with content keeps config options",   function() {
+    const opts = {envName: "prod", vars: {my: {greeting: "Howdy"}}};
+    const app = application(config(CFG, opts));
+    try{
+      const g2 = app.moduleLinker.resolve(Greeter, "g2");
+      const modules = [CFG.modules[0], {...CFG.modules[1], greeting: "$(~my:greeting)"}, CFG.modules[2]];
+      app.replaceConfig({...CFG, modules, $env: {prod: {logLevel: LOG_TYPE.DEBUG}}});
+      aver.areEqual(opts, app.config.options);
+      aver.areEqual("Howdy", g2.greeting);
+      aver.areEqual(LOG_TYPE.DEBUG, app.logLevel);
+    } finally { dispose(app); }
+  });
+
+  it("module handler errors are contained",   function() {
+    const app = application(CFG);
+    try{
+      app.configEvents.subscribe(() => { throw new Error("handler"); }, ConfigChangeEvent);
+      const evt = app.patchConfig({logLevel: LOG_TYPE.WARNING});
+      aver.areArraysEquivalent(["/logLevel"], evt.changes);
+      aver.areEqual(LOG_TYPE.WARNING, app.logLevel);
+    } finally { dispose(app); }
+  });
+
+});
+
+
+const JOURNAL = [];
+
+class Phased extends Module{
+  #delayMs;
+  #fail;
+  #failStop;
+  constructor(dir, cfg){
+    super(dir, cfg);
+    this.#delayMs = cfg.getInt("delayMs", 0);
+    this.#fail = cfg.getBool("fail", false);
+    this.#failStop = cfg.getBool("failStop", false);
+  }
+  async _appStart(){
+    JOURNAL.push(`start>${this.name}`);
+    if (this.#delayMs > 0) await new Promise(r => setTimeout(r, this.#delayMs));
+    if (this.#fail) throw new Error(`${this.name} failed`);
+    JOURNAL.push(`start<${this.name}`);
+  }
+  async _appStop(){
+    JOURNAL.push(`stop ${this.name}`);
+    if (this.#failStop) throw new Error(`${this.name} stop failed`);
+  }
+  get name(){ return this[NAME_PROP]; }
+}
+
+describe("#AppModule::Lifecycle", function() {
+
+  it("start/stop in phases",   async function() {
+    JOURNAL.length = 0;
+    const app = application({
+      modules: [
+        {name: "c", type: Phased, order: 2},
+        {name: "a1", type: Phased, order: 1, delayMs: 30},
+        {name: "a2", type: Phased, order: 1},
+        {name: "b", type: Phased, order: 5}
+      ]
+    });
+    try{
+      aver.areEqual(APP_STATE.CREATED, app.state);
+      const p = app.start();
+      aver.areEqual(p, app.start());//same promise
+      aver.areEqual(APP_STATE.STARTING, app.state);
+      aver.areEqual(app, await p);
+      aver.areEqual(app, await app.ready);
+      aver.areEqual(APP_STATE.RUNNING, app.state);
+      //a1 and a2 start concurrently, a2 finishes before a1
+      aver.areArraysEquivalent(["start>a1", "start>a2", "start<a2", "start<a1", "start>c", "start<c", "start>b", "start<b"], JOURNAL);
+
+      JOURNAL.length = 0;
+      await app.stop();
+      aver.areEqual(APP_STATE.STOPPED, app.state);
+      aver.areEqual("stop b,stop c", JOURNAL.slice(0, 2).join(","));
+      aver.areArraysEquivalent(["stop a1", "stop a2"], JOURNAL.slice(2).sort());
+      await app.stop();//no-op
+      let err = null;
+      try{ await app.start(); }
+      catch(e){ err = e; }
+      aver.isNull(err);//same settled start promise
+
+    } finally { dispose(app); }
+  });
+
+  it("failure unwinds started modules",   async function() {
+    JOURNAL.length = 0;
+    const app = application({
+      modules: [
+        {name: "a", type: Phased, order: 1},
+        {name: "b1", type: Phased, order: 2, failStop: true},
+        {name: "b2", type: Phased, order: 2, fail: true, delayMs: 10},
+        {name: "c", type: Phased, order: 3}
+      ]
+    });
+    try{
+      let err = null;
+      try{ await app.start(); }
+      catch(e){ err = e; }
+      aver.isNotNull(err);
+      aver.isTrue(err.message.indexOf("App start failed: b2 failed") >= 0);
+      aver.areEqual(APP_STATE.FAILED, app.state);
+      aver.areEqual("start>a,start<a,start>b1,start<b1,start>b2,stop b1,stop a", JOURNAL.join(","));
+
+      let rerr = null;
+      try{ await app.ready; }
+      catch(e){ rerr = e; }
+      aver.areEqual(err, rerr);
+
+      await app.stop();//nothing to stop
+      aver.areEqual(APP_STATE.FAILED, app.state);
+    } finally { dispose(app); }
+  });
+
+  it("module start timeout",   async function() {
+    JOURNAL.length = 0;
+    const app = application({
+      startTimeoutMs: 5_000,
+      modules: [
+        {name: "a", type: Phased, order: 1},
+        {name: "slow", type: Phased, order: 2, delayMs: 200, startTimeoutMs: "20ms"}
+      ]
+    });
+    try{
+      aver.areEqual(5_000, app.startTimeoutMs);
+      aver.areEqual(10_000, app.stopTimeoutMs);
+      let err = null;
+      try{ await app.start(); }
+      catch(e){ err = e; }
+      aver.isNotNull(err);
+      aver.isTrue(err.message.indexOf("start timed out after 20 ms") >= 0);
+      aver.areEqual("start>a,start<a,start>slow,stop a", JOURNAL.join(","));
+
+      await new Promise(r => setTimeout(r, 250));//the slow start completes after the timeout and gets stopped
+      aver.areEqual("start>a,start<a,start>slow,stop a,start<slow,stop slow", JOURNAL.join(","));
+    } finally { dispose(app); }
+  });
+
+  it("stop waits for start",   async function() {
+    JOURNAL.length = 0;
+    const app = application({ modules: [ {name: "a", type: Phased, delayMs: 20} ] });
+    try{
+      app.start();
+      await app.stop();
+      aver.areEqual(APP_STATE.STOPPED, app.state);
+      aver.areEqual("start>a,start<a,stop a", JOURNAL.join(","));
+    } finally { dispose(app); }
+  });
+
+  it("stop never started",   async function() {
+    const app = application({ modules: [ {name: "a", type: Phased} ] });
+    try{
+      await app.stop();
+      aver.areEqual(APP_STATE.CREATED, app.state);
+    } finally { dispose(app); }
+  });
+
+});
+
+
+const LOADED = [];
+
+class IStore extends Module{ constructor(dir, cfg){ super(dir, cfg); LOADED.push(this.name); } get name(){ return this[NAME_PROP]; } }
+class MemStore extends IStore{ constructor(dir, cfg){ super(dir, cfg); } }
+class ICache extends Module{
+  static [DEPENDENCIES_PROP] = [IStore, ILog];
+  constructor(dir, cfg){ super(dir, cfg); LOADED.push(this[NAME_PROP]); }
+}
+class IReports extends Module{
+  static [DEPENDENCIES_PROP] = [ICache, {type: IStore, name: "main"}, {type: IWeather, optional: true}];
+  constructor(dir, cfg){ super(dir, cfg); LOADED.push(this[NAME_PROP]); }
+}
+class CycleA extends Module{ constructor(dir, cfg){ super(dir, cfg); } }
+class CycleB extends Module{ static [DEPENDENCIES_PROP] = [CycleA]; constructor(dir, cfg){ super(dir, cfg); } }
+class CycleA1 extends CycleA{ static [DEPENDENCIES_PROP] = [CycleB]; constructor(dir, cfg){ super(dir, cfg); } }
+class BadDeps extends Module{ static [DEPENDENCIES_PROP] = ["IStore"]; constructor(dir, cfg){ super(dir, cfg); } }
+
+describe("#AppModule::Dependencies", function() {
+
+  it("loads in topological order",   function() {
+    LOADED.length = 0;
+    const app = application({
+      modules: [
+        {name: "reports", type: IReports},
+        {name: "cache", type: ICache},
+        {name: "main", type: MemStore},
+        {name: "other", type: Module}
+      ]
+    });
+    try{
+      aver.areArraysEquivalent(["main", "cache", "reports"], LOADED);
+      aver.areEqual("log,main,other,cache,reports", app.modules.map(one => one[NAME_PROP]).join(","));
+    } finally { dispose(app); }
+  });
+
+  it("start phases respect dependencies",   async function() {
+    const app = application({
+      modules: [
+        {name: "reports", type: IReports},
+        {name: "cache", type: ICache},
+        {name: "main", type: MemStore}
+      ]
+    });
+    try{
+      const started = [];
+      for(const one of app.modules) one._appStart = async () => { await new Promise(r => setTimeout(r, one[NAME_PROP] === "main" ? 20 : 0)); started.push(one[NAME_PROP]); };
+      await app.start();
+      aver.areEqual("log,main,cache,reports", started.join(","));
+      await app.stop();
+    } finally { dispose(app); }
+  });
+
+  it("missing dependencies",   function() {
+    LOADED.length = 0;
+    aver.throws(() => application({
+      modules: [
+        {name: "reports", type: IReports},
+        {name: "cache", type: ICache}
+      ]
+    }), "Unsatisfied module dependencies: module 'reports' depends on 'IStore(\"main\")' which is not configured; module 'cache' depends on 'IStore' which is not configured");
+    aver.areEqual(0, LOADED.length);//nothing constructed
+  });
+
+  it("dependency on later module",   function() {
+    aver.throws(() => application({
+      modules: [
+        {name: "cache", type: ICache, order: 1},
+        {name: "main", type: MemStore, order: 2}
+      ]
+    }), "module 'cache' (order 1) depends on module 'main' (order 2) which is loaded later");
+  });
+
+  it("cycle",   function() {
+    aver.throws(() => application({
+      modules: [
+        {name: "other", type: Module},
+        {name: "a", type: CycleA1},
+        {name: "b", type: CycleB}
+      ]
+    }), "Module dependency cycle: 'a' -> 'b' -> 'a'");
+  });
+
+  it("bad declaration",   function() {
+    aver.throws(() => application({ modules: [ {name: "bad", type: BadDeps} ] }), "module 'bad' type 'BadDeps' has bad dependency declaration");
+  });
+
+});
+
+
+class Worker extends AppComponent{
+  constructor(dir, cfg){ super(dir, cfg); }
+}
+
+describe("#AppModule::ComponentTree", function() {
+
+  it("snapshot",   function() {
+    const app = application({ id: "tree", modules: [ {name: "g1", type: Greeter, logLevel: LOG_TYPE.DEBUG} ] });
+    try{
+      const g1 = app.moduleLinker.resolve(Greeter);
+      const w1 = new Worker(g1, null);
+      const w2 = new Worker(w1, null);
+      const w3 = new Worker(app, null);
+
+      aver.areArraysEquivalent([w1], g1.directedComponents);
+      aver.isTrue(app.rootComponents.includes(w3));
+      aver.isFalse(app.rootComponents.includes(w1));
+
+      const got = JSON.parse(JSON.stringify(app.getComponentTree()));
+      aver.areEqual("tree", got.app.id);
+      aver.areEqual(APP_STATE.CREATED, got.app.state);
+      aver.areEqual(app.components.length, got.count);
+      aver.areEqual(0, got.leaked.length);
+
+      const ng1 = got.components.find(one => one.name === "g1");
+      aver.areEqual("Greeter", ng1.type);
+      aver.isNull(ng1.director);
+      aver.areEqual(LOG_TYPE.DEBUG, ng1.logLevel);
+      aver.areEqual(1, ng1.children.length);
+
+      const nw1 = ng1.children[0];
+      aver.areEqual(w1.sid, nw1.sid);
+      aver.areEqual("Worker", nw1.type);
+      aver.areEqual(g1.sid, nw1.director);
+      aver.isNull(nw1.logLevel);
+      aver.areEqual(LOG_TYPE.DEBUG, nw1.effectiveLogLevel);//from director
+      aver.isFalse(nw1.disposed);
+      aver.areEqual(w2.sid, nw1.children[0].sid);
+      aver.areEqual(0, nw1.children[0].children.length);
+
+      aver.isTrue(got.components.some(one => one.sid === w3.sid));
+      aver.isTrue(got.components.some(one => one.name === "log"));
+    } finally { dispose(app); }
+  });
+
+  it("leaks",   function() {
+    const app = application({ modules: [ {name: "g1", type: Greeter} ] });
+    const g1 = app.moduleLinker.resolve(Greeter);
+    const w1 = new Worker(g1, null);
+    const w2 = new Worker(w1, null);
+    const w3 = new Worker(app, null);
+    try{
+      dispose(w1);
+      aver.areArraysEquivalent([w2], app.getLeakedComponents());
+
+      const got = app.getComponentTree();
+      aver.areArraysEquivalent([w2.sid], got.leaked);
+      const nw2 = got.components.find(one => one.sid === w2.sid);
+      aver.isTrue(nw2.leaked);
+      aver.areEqual(w1.sid, nw2.director);
+      aver.isFalse(got.components.find(one => one.name === "g1").leaked);
+    } finally { dispose(app); }
+
+    //app disposes root components, but not the nested ones which their directors did not dispose
+    aver.isTrue(g1[DISPOSED_PROP]);
+    aver.isTrue(w3[DISPOSED_PROP]);
+    aver.isFalse(w2[DISPOSED_PROP]);
+    aver.areArraysEquivalent([w2], app.getLeakedComponents());
+    dispose(w2);
+    aver.areEqual(0, app.getLeakedComponents().length);
+  });
+
+});
+
+
+class Checked extends Module{
+  #mode;
+  constructor(dir, cfg){ super(dir, cfg); this.#mode = cfg.getString("mode", "ok"); }
+  async [HEALTH_CHECK_METHOD](){
+    if (this.#mode === "fail") throw new Error("Disk is on fire");
+    if (this.#mode === "slow") await new Promise(r => setTimeout(r, 300));
+    if (this.#mode === "degraded") return {status: HEALTH_STATUS.DEGRADED, queue: 1000};
+    if (this.#mode === "weird") return {status: "so-so"};
+    return {queue: 0};
+  }
+}
+
+class MemStorage extends IStorage{
+  #data = new Map();
+  constructor(dir, cfg){ super(dir, cfg); }
+  get length(){ return this.#data.size; }
+  key(index){ return [...this.#data.keys()][index] ?? null; }
+  getItem(keyName){ return this.#data.get(keyName) ?? null; }
+  setItem(keyName, keyValue){ this.#data.set(keyName, keyValue); }
+  removeItem(keyName){ this.#data.delete(keyName); }
+  clear(){ this.#data.clear(); }
+}
+
+describe("#AppModule::Health", function() {
+
+  it("healthy",   async function() {
+    const app = application({ id: "hc", modules: [ {name: "a", type: Checked}, {name: "store", type: MemStorage}, {name: "other", type: Module} ] });
+    try{
+      const got = await app.checkHealth();
+      aver.areEqual("hc", got.app);
+      aver.areEqual(app.instanceId, got.instanceId);
+      aver.areEqual(HEALTH_STATUS.HEALTHY, got.status);
+      aver.isString(got.utcTimestamp);
+      aver.areEqual(2, got.modules.length);//only modules which implement checks
+
+      const a = got.modules.find(one => one.name === "a");
+      aver.areEqual("Checked", a.type);
+      aver.areEqual(HEALTH_STATUS.HEALTHY, a.status);
+      aver.areEqual(0, a.details.queue);
+      aver.isNull(a.error);
+      aver.isTrue(a.latencyMs >= 0);
+
+      const store = got.modules.find(one => one.name === "store");
+      aver.areEqual(HEALTH_STATUS.HEALTHY, store.status);
+      aver.areEqual(0, store.details.length);//probe is removed
+    } finally { dispose(app); }
+  });
+
+  it("unhealthy and degraded",   async function() {
+    const app = application({
+      modules: [
+        {name: "a", type: Checked},
+        {name: "b", type: Checked, mode: "degraded"},
+        {name: "c", type: Checked, mode: "fail"},
+        {name: "d", type: Checked, mode: "slow"},
+        {name: "e", type: Checked, mode: "weird"}
+      ]
+    });
+    try{
+      const got = await app.checkHealth(50);
+      aver.areEqual(HEALTH_STATUS.UNHEALTHY, got.status);
+      const byName = name => got.modules.find(one => one.name === name);
+      aver.areEqual(HEALTH_STATUS.HEALTHY, byName("a").status);
+      aver.areEqual(HEALTH_STATUS.DEGRADED, byName("b").status);
+      aver.areEqual(1000, byName("b").details.queue);
+      aver.areEqual(HEALTH_STATUS.UNHEALTHY, byName("c").status);
+      aver.areEqual("Disk is on fire", byName("c").error.Message);
+      aver.areEqual(app.id, byName("c").error.AppId);
+      aver.areEqual(HEALTH_STATUS.UNHEALTHY, byName("d").status);
+      aver.isTrue(byName("d").error.Message.indexOf("timed out after 50 ms") >= 0);
+      aver.areEqual(HEALTH_STATUS.UNHEALTHY, byName("e").status);
+
+      const degraded = application({modules: [{name: "b", type: Checked, mode: "degraded"}]});
+      try{ aver.areEqual(HEALTH_STATUS.DEGRADED, (await degraded.checkHealth()).status); }
+      finally { dispose(degraded); }
+    } finally { dispose(app); }
+  });
+
+  it("IClient",   async function() {
+    const app = application({
+      modules: [
+        {name: "api1", type: IClient, url: "https://api.local/v1", healthUri: "status"},
+        {name: "api2", type: IClient, url: "https://api.local/v2"}
+      ]
+    });
+    const fetch0 = globalThis.fetch;
+    const requested = [];
+    globalThis.fetch = async (req) => { requested.push(req.url); return new Response("", {status: requested.length > 1 ? 503 : 200}); };
+    try{
+      let got = await app.checkHealth();
+      aver.areEqual(HEALTH_STATUS.HEALTHY, got.status);
+      aver.areArraysEquivalent(["https://api.local/v1/status"], requested);
+      aver.areEqual(200, got.modules.find(one => one.name === "api1").details.httpStatus);
+      aver.isFalse(got.modules.find(one => one.name === "api2").details.checked);
+
+      got = await app.checkHealth();
+      const api1 = got.modules.find(one => one.name === "api1");
+      aver.areEqual(HEALTH_STATUS.UNHEALTHY, api1.status);
+      aver.areEqual(503, api1.error.Code);
+    } finally {
+      globalThis.fetch = fetch0;
+      dispose(app);
+    }
+  });
+
+  it("AppSync",   async function() {
+    const app = application({ id: "hcsync", modules: [ {name: "sync", type: AppSync} ] });
+    try{
+      const got = await app.checkHealth();
+      aver.areEqual(HEALTH_STATUS.HEALTHY, got.status);
+      aver.areEqual("Azos-app-hcsync", got.modules[0].details.channel);
+    } finally { dispose(app); }
+  });
+
+});
+
+describe("#Application::Registry", function() {
+
+  it("registers and unregisters apps",   function() {
+    const a = application({id: "reg-a"});
+    const b = application({id: "reg-b"});
+    try{
+      aver.isTrue(Application.all.includes(a));
+      aver.isTrue(Application.all.includes(b));
+      aver.isFalse(Application.all.includes(NopApplication.instance));
+      aver.areEqual(a, Application.getByInstanceId(a.instanceId));
+      aver.areEqual(b, Application.getById("reg-b"));
+      aver.areEqual(a, Application.find("reg-a"));
+      aver.areEqual(b, Application.find(b.instanceId));
+      aver.isNull(Application.find("reg-none"));
+      aver.areEqual(b, Application.instance);
+    } finally {
+      dispose(a);//out of construction order
+      aver.isNull(Application.find("reg-a"));
+      aver.areEqual(b, Application.instance);
+      dispose(b);
+    }
+    aver.isNull(Application.find(b.instanceId));
+    aver.isFalse(Application.all.includes(b));
+  });
+
+  it("getById() returns the most recent app",   function() {
+    const a = application({id: "reg-same"});
+    const b = application({id: "reg-same"});
+    try{
+      aver.areEqual(b, Application.getById("reg-same"));
+      dispose(b);
+      aver.areEqual(a, Application.getById("reg-same"));
+    } finally {
+      dispose(b);
+      dispose(a);
+    }
+  });
+
+  it("run() scopes current app",   function() {
+    const a = application({id: "scope-a"});
+    const b = application({id: "scope-b"});
+    try{
+      aver.areEqual(b, Application.current);
+      const got = a.run(app => {
+        aver.areEqual(a, app);
+        aver.areEqual(a, Application.current);
+        b.run(() => aver.areEqual(b, Application.current));
+        aver.areEqual(a, Application.current);
+        return 123;
+      });
+      aver.areEqual(123, got);
+      aver.areEqual(b, Application.current);
+      aver.throws(() => a.run(() => { throw new Error("scoped error"); }), "scoped error");
+      aver.areEqual(b, Application.current);
+    } finally {
+      dispose(b);
+      dispose(a);
+    }
+  });
+
+  it("setScopeProvider()",   function() {
+    const a = application({id: "scope-p"});
+    const calls = [];
+    const inner = new SyncAppScope();
+    const prev = Application.setScopeProvider({
+      get current(){ return inner.current; },
+      run: (app, fn) => { calls.push(app.id); return inner.run(app, fn); }
+    });
+    try{
+      a.run(() => aver.areEqual(a, Application.current));
+      aver.areArraysEquivalent(["scope-p"], calls);
+      aver.throws(() => Application.setScopeProvider({}), "isFunction");
+    } finally {
+      Application.setScopeProvider(prev);
+      dispose(a);
+    }
+  });
+});
+
+class Dashboard extends Module{
+  static [INJECT_PROP] = {
+    store: IStore,
+    main: {type: IStore, name: "main"},
+    cache: {type: ICache},
+    weather: {type: IWeather, optional: true},
+    log: ILog
+  };
+  store = null;
+  constructor(dir, cfg){ super(dir, cfg); LOADED.push(this[NAME_PROP]); }
+}
+
+class Reporter extends AppComponent{
+  static [INJECT_PROP] = { weather: IWeather, news: {type: INews, name: "x"}, log: ILog };
+  constructor(dir, cfg){ super(dir, cfg); }
+}
+
+describe("#AppModule::Injection", function() {
+
+  it("injects module dependencies in load order",   function() {
+    LOADED.length = 0;
+    const app = application({
+      modules: [
+        {name: "dash", type: Dashboard},
+        {name: "cache", type: ICache},
+        {name: "main", type: MemStore}
+      ]
+    });
+    try{
+      aver.areArraysEquivalent(["main", "cache", "dash"], LOADED);
+      const dash = app.moduleLinker.resolve(Dashboard);
+      const main = app.moduleLinker.resolve(IStore, "main");
+      aver.areEqual(main, dash.store);
+      aver.areEqual(main, dash.main);
+      aver.areEqual(app.moduleLinker.resolve(ICache), dash.cache);
+      aver.isNull(dash.weather);
+      aver.areEqual(app.log, dash.log);//default log is injected when no log is configured
+    } finally { dispose(app); }
+  });
+
+  it("missing module dependencies are reported before construction",   function() {
+    LOADED.length = 0;
+    aver.throws(() => application({ modules: [ {name: "dash", type: Dashboard}, {name: "main", type: MemStore} ] }),
+                "module 'dash' depends on 'ICache' which is not configured");
+    aver.areEqual(0, LOADED.length);
+  });
+
+  it("lists all unresolved component dependencies",   function() {
+    const app = application({ modules: [ {name: "cle", type: ClevelandWeather} ] });
+    try{
+      let err = null;
+      try{ makeNew(AppComponent, Reporter, app); }
+      catch(e) { err = e; }
+      aver.isOf(err, LinkerError);
+      aver.areEqual(`Unresolved dependencies of 'Reporter': 'news' -> INews("x")`, err.message);
+      aver.areEqual(0, app.components.filter(one => one instanceof Reporter).length);//disposed
+
+      const empty = application({});
+      try{
+        const cfg = config({type: Reporter}).root;
+        aver.throws(() => makeNew(AppComponent, cfg, empty), "'weather' -> IWeather; 'news' -> INews(\"x\")");
+      } finally { dispose(empty); }
+
+      app.moduleLinker.register(new OhioNews(app, config({name: "x"}).root));
+      const got = makeNew(AppComponent, Reporter, app.moduleLinker.resolve(IWeather));//nested component uses app linker
+      aver.areEqual(app.moduleLinker.resolve(IWeather), got.weather);
+      aver.areEqual("x", got.news[NAME_PROP]);
+      aver.areEqual(app.log, got.log);
+    } finally { dispose(app); }
+  });
+
+  it("requires director linker",   function() {
+    class Plain{ static [INJECT_PROP] = { log: ILog }; }
+    aver.throws(() => makeNew(Object, Plain), "director does not provide a linker");
+    aver.isOf(makeNew(Object, class Free{}), Object);
+  });
+});
+
+describe("#Application::Session", function() {
+
+  it("vetoable user change",   function() {
+    const app = application({id: "sess-veto"});
+    try{
+      const sess = app.session;
+      const calls = [];
+      let block = null;
+      sess.events.subscribe((e) => { if (block) e.veto(block); }, UserChangingEvent);
+      sess.events.subscribe((e) => calls.push(`${e.was.name}->${e.user.name}:${e.isSync}`), UserChangedEvent);
+
+      const ann = new User({name: "ann", status: "User"});
+      sess.user = ann;
+      aver.areEqual(ann, sess.user);
+      aver.areArraysEquivalent(["Invalid->ann:false"], calls);
+
+      block = "unsaved work";
+      sess.user = null;
+      aver.areEqual(ann, sess.user);
+      const got = sess.changeUser(null);
+      aver.isFalse(got.done);
+      aver.areArraysEquivalent(["unsaved work"], got.vetoes);
+      aver.isTrue(sess.changeUser(ann).done);//no change
+
+      block = null;
+      aver.isTrue(sess.changeUser(null).done);
+      aver.areEqual(User.invalid, sess.user);
+
+      sess._sync({user: ann.toInitObject()});
+      aver.areEqual("ann", sess.user.name);
+      aver.areArraysEquivalent(["Invalid->ann:false", "ann->Invalid:false", "Invalid->ann:true"], calls);
+    } finally { dispose(app); }
+  });
 
 });
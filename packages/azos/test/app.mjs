@@ -13,6 +13,11 @@ import "./strings-tests.js";
 import "./linq-tests.js";
 import "./localization-tests.js";
 import "./conf-tests.js";
+import "./confschema-tests.js";
+import "./laconic-tests.js";
+import "./events-tests.js";
+import "./bus-tests.js";
+import "./node-tests.js";
 
 import "./app-mod-tests.js";
 import "./linker-tests.js";
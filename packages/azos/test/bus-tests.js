@@ -0,0 +1,144 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+//import { describe, it } from "mocha";
+import { defineUnit as describe, defineCase as it } from "../run.js";
+import * as aver from "../aver.js";
+import { dispose, DisposableObject } from "../types.js";
+import { application } from "../application.js";
+import { AppSync } from "../appsync.js";
+import { Event, EVENT_HANDLER_FUN } from "../events.js";
+import * as sut from "../bus.js";
+
+class CartEvent extends Event{ constructor(sender, bag){ super(sender, bag); } }
+class CartItemAdded extends CartEvent{
+  static [sut.TOPIC_PROP] = "cart.item.added";
+  constructor(sender, bag){ super(sender, bag); }
+}
+
+class Widget extends DisposableObject{
+  calls = [];
+  constructor(){ super(); }
+  [EVENT_HANDLER_FUN](e){ this.calls.push(e.bag); }
+}
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe("EventBus", function() {
+
+  it("routes by type and topic",   function() {
+    const app = application({ modules: [{name: "bus", type: sut.EventBus}] });
+    try{
+      const bus = app.moduleLinker.resolve(sut.EventBus);
+      const calls = [];
+      const onCart = (e) => calls.push(`cart:${e.bag}`);
+      const onAdded = (e) => calls.push(`added:${e.bag}`);
+      const onTopic = (e) => calls.push(`topic:${e.bag}`);
+      const onDeep = (e) => calls.push(`deep:${e.bag}`);
+      aver.isTrue(bus.subscribe(onCart, CartEvent));
+      aver.isTrue(bus.subscribe(onAdded, CartItemAdded, "cart.*.added"));
+      aver.isTrue(bus.subscribe(onTopic, "cart.*"));
+      aver.isTrue(bus.subscribe(onDeep, "Cart.**"));
+      aver.isFalse(bus.subscribe(onCart, CartEvent));
+      aver.areEqual(5, bus.subscriptionCount);
+
+      aver.isTrue(bus.publish(new CartItemAdded(null, 1)));
+      aver.areArraysEquivalent(["added:1", "cart:1", "deep:1"], calls);
+
+      calls.length = 0;
+      aver.isTrue(bus.publish(new CartEvent(null, 2), "cart.cleared"));
+      aver.areArraysEquivalent(["cart:2", "topic:2", "deep:2"], calls);
+
+      calls.length = 0;
+      aver.isTrue(bus.publish(new Event(null, 3), "cart"));
+      aver.areArraysEquivalent(["deep:3"], calls);
+
+      calls.length = 0;
+      aver.isFalse(bus.publish(new Event(null, 4)));
+      aver.isFalse(bus.publish(new Event(null, 5), "order.placed"));
+      aver.areEqual(0, calls.length);
+
+      aver.isTrue(bus.unsubscribe(onAdded, "cart.*.added"));
+      aver.isFalse(bus.unsubscribe(onAdded, "cart.*.added"));
+      aver.isTrue(bus.unsubscribe(onDeep));
+      aver.areEqual(3, bus.subscriptionCount);
+      aver.throws(() => bus.subscribe(onCart, "cart..x"), "empty segment");
+      aver.throws(() => bus.subscribe(onCart, Widget), "isSubclassOf");
+    } finally { dispose(app); }
+  });
+
+  it("handled and errors",   function() {
+    const app = application({ modules: [{name: "bus", type: sut.EventBus}] });
+    try{
+      const bus = app.moduleLinker.resolve(sut.EventBus);
+      const calls = [];
+      bus.subscribe(() => { throw new Error("bad handler"); }, CartItemAdded);
+      bus.subscribe((e) => { calls.push("a"); e.handled = true; }, CartEvent);
+      bus.subscribe(() => calls.push("b"), "cart.**");
+      aver.isTrue(bus.publish(new CartItemAdded()));
+      aver.areArraysEquivalent(["a"], calls);
+    } finally { dispose(app); }
+  });
+
+  it("weak subscriptions",   function() {
+    const app = application({ modules: [{name: "bus", type: sut.EventBus}] });
+    try{
+      const bus = app.moduleLinker.resolve(sut.EventBus);
+      const w1 = new Widget();
+      const w2 = new Widget();
+      aver.isTrue(bus.subscribeWeak(w1, CartEvent));
+      aver.isTrue(bus.subscribeWeak(w2, "cart.**"));
+      aver.isFalse(bus.subscribeWeak(w2, "cart.**"));
+      aver.throws(() => bus.subscribeWeak(() => {}, CartEvent), "isObject");
+
+      bus.publish(new CartItemAdded(null, 1));
+      aver.areArraysEquivalent([1], w1.calls);
+      aver.areArraysEquivalent([1], w2.calls);
+
+      dispose(w1);
+      bus.publish(new CartItemAdded(null, 2));
+      aver.areArraysEquivalent([1], w1.calls);
+      aver.areArraysEquivalent([1, 2], w2.calls);
+      aver.areEqual(1, bus.subscriptionCount);
+    } finally { dispose(app); }
+  });
+
+  it("bridges topics via AppSync",   async function() {
+    const cfg = { id: "bus-bridge", modules: [
+      {name: "sync", type: AppSync},
+      {name: "bus", type: sut.EventBus, bridge: ["cart.**"]}
+    ]};
+    const a = application(cfg);
+    const b = application(cfg);
+    try{
+      const busA = a.moduleLinker.resolve(sut.EventBus);
+      const busB = b.moduleLinker.resolve(sut.EventBus);
+      aver.areArraysEquivalent(["cart.**"], busA.bridge);
+
+      const local = [];
+      const got = [];
+      busA.subscribe((e) => local.push(e), "**");
+      busB.subscribe((e) => got.push(e), sut.BridgedEvent);
+
+      busA.publish(new CartItemAdded(null, {qty: 2}));
+      busA.publish(new Event(null, {x: 1}), "order.placed");
+      await delay(50);
+
+      aver.areEqual(2, local.length);
+      aver.areEqual(1, got.length);
+      aver.isOf(got[0], sut.BridgedEvent);
+      aver.areEqual("cart.item.added", got[0].topic);
+      aver.areEqual("CartItemAdded", got[0].typeName);
+      aver.areEqual(a.instanceId, got[0].origin);
+      aver.areEqual(2, got[0].bag.qty);
+      aver.areEqual(2, local.length);//not bounced back
+    } finally {
+      dispose(b);
+      dispose(a);
+    }
+  }, () => typeof(BroadcastChannel) === "undefined");
+
+});
@@ -8,7 +8,9 @@
 import { defineUnit as describe, defineCase as it } from "../run.js";
 import * as aver from "../aver.js";
 import { $ } from "../linq.js";
+import * as types from "../types.js";
 import * as sut from "../conf.js";
+import { LOG_TYPE } from "../log.js";
 
 describe("Configuration", function() {
 
@@ -701,6 +703,371 @@ describe("ConfigNode", function() {
 });//ConfigNode
 
 
+/** Typed getters content, also used by export round trip tests */
+const TYPED_GETTERS_CONTENT = {
+  hosts: "a, b;c,, ",
+  hostsArr: ["x", 1, true, "$(/hosts)"],
+  hostsMixed: ["x", {a: 1}],
+  single: 5,
+  ports: "80;443",
+  portsArr: [8080, "8081", "$(/single)"],
+  portsBad: "80, http",
+  level: "warning",
+  levelBad: "loud",
+  timeout: "5s",
+  refresh: "10m",
+  combo: "1h 30m 15s",
+  fraction: "1.5d",
+  plainDur: 250,
+  plainDurStr: "300",
+  durBad: "5 light-years",
+  durVar: "$(/refresh)",
+  size: "512kb",
+  sizeM: "1.5 MB",
+  sizeG: "2g",
+  sizePlain: 1000,
+  sizeBad: "12 xb",
+  url: "https://api.local/v1/../v2?a=1",
+  relUrl: "/orders",
+  urlBad: "not a url",
+  section: {a: 1}
+};
+
+describe("ConfigNode::TypedGetters", function() {
+
+  const cfg = sut.config(TYPED_GETTERS_CONTENT).root;
+
+  it("getStringArray()",   function() {
+    aver.areArraysEquivalent(["a", "b", "c"], cfg.getStringArray("hosts"));
+    aver.areArraysEquivalent(["x", "1", "true", "a, b;c,,"], cfg.getStringArray("hostsArr"));
+    aver.areArraysEquivalent(["a, b", "c,,"], cfg.getStringArray("hosts", null, ";"));
+    aver.areArraysEquivalent(["5"], cfg.getStringArray("single"));
+    aver.areArraysEquivalent(["a", "b", "c"], cfg.getStringArray(["nothing", "hosts"]));
+    aver.isUndefined(cfg.getStringArray("nothing"));
+    aver.areEqual(-1, cfg.getStringArray("nothing", -1));
+    aver.areEqual(-1, cfg.getStringArray("hostsMixed", -1));
+    aver.areEqual(-1, cfg.getStringArray("section", -1));
+  });
+
+  it("getIntArray()",   function() {
+    aver.areArraysEquivalent([80, 443], cfg.getIntArray("ports"));
+    aver.areArraysEquivalent([8080, 8081, 5], cfg.getIntArray("portsArr"));
+    aver.areEqual(-1, cfg.getIntArray("portsBad", -1));
+    aver.areEqual(-1, cfg.getIntArray("nothing", -1));
+  });
+
+  it("getEnum()",   function() {
+    aver.areEqual(LOG_TYPE.WARNING, cfg.getEnum("level", LOG_TYPE));
+    aver.areEqual(LOG_TYPE.INFO, cfg.getEnum("levelBad", LOG_TYPE, LOG_TYPE.INFO));
+    aver.areEqual(LOG_TYPE.INFO, cfg.getEnum("nothing", LOG_TYPE, LOG_TYPE.INFO));
+    aver.areEqual("Warning", cfg.getEnum(["nothing", "level"], ["Error", "Warning"]));
+    aver.isUndefined(cfg.getEnum("section", LOG_TYPE));
+    aver.throws(() => cfg.getEnum("level", "abc"), "isObjectOrArray");
+  });
+
+  it("getDuration()",   function() {
+    aver.areEqual(5_000, cfg.getDuration("timeout"));
+    aver.areEqual(5, cfg.getDuration("timeout", 0, "s"));
+    aver.areEqual(600, cfg.getDuration("refresh", 0, "sec"));
+    aver.areEqual(10, cfg.getDuration("refresh", 0, "m"));
+    aver.areEqual(5_415_000, cfg.getDuration("combo"));
+    aver.areEqual(36, cfg.getDuration("fraction", 0, "h"));
+    aver.areEqual(250, cfg.getDuration("plainDur"));
+    aver.areEqual(250, cfg.getDuration("plainDur", 0, "s"));//numbers are in unit
+    aver.areEqual(300, cfg.getDuration("plainDurStr", 0, "s"));
+    aver.areEqual(600_000, cfg.getDuration("durVar"));
+    aver.areEqual(-1, cfg.getDuration("durBad", -1));
+    aver.areEqual(-1, cfg.getDuration("nothing", -1));
+    aver.areEqual(-1, cfg.getDuration("timeout", -1, "fortnight"));
+  });
+
+  it("parseDuration()",   function() {
+    aver.areEqual(1500, sut.parseDuration("1.5s"));
+    aver.areEqual(90, sut.parseDuration("1m30s", "s"));
+    aver.areEqual(2, sut.parseDuration(" 2 H ", "h"));
+    aver.throws(() => sut.parseDuration(""), "empty");
+    aver.throws(() => sut.parseDuration("5s 3"), "Bad duration");
+    aver.throws(() => sut.parseDuration("s"), "Bad duration");
+    aver.throws(() => sut.parseDuration("5", "weeks"), "Unknown duration unit 'weeks'");
+  });
+
+  it("getByteSize()",   function() {
+    aver.areEqual(512 * 1024, cfg.getByteSize("size"));
+    aver.areEqual(1.5 * 1024 * 1024, cfg.getByteSize("sizeM"));
+    aver.areEqual(2 * 1024 ** 3, cfg.getByteSize("sizeG"));
+    aver.areEqual(1000, cfg.getByteSize("sizePlain"));
+    aver.areEqual(-1, cfg.getByteSize("sizeBad", -1));
+    aver.areEqual(-1, cfg.getByteSize("nothing", -1));
+    aver.areEqual(1024, sut.parseByteSize("1KiB"));
+    aver.areEqual(100, sut.parseByteSize("100b"));
+    aver.throws(() => sut.parseByteSize("-5kb"), "Bad byte size");
+  });
+
+  it("getUri()",   function() {
+    aver.areEqual("https://api.local/v2?a=1", cfg.getUri("url"));
+    aver.areEqual("https://api.local/orders", cfg.getUri("relUrl", null, "https://api.local/v1/"));
+    aver.isNull(cfg.getUri("relUrl", null));
+    aver.isNull(cfg.getUri("urlBad", null));
+    aver.isNull(cfg.getUri("section", null));
+    aver.areEqual("x", cfg.getUri("nothing", "x"));
+  });
+
+});
+
+
+describe("Config::Directives", function() {
+
+  const BASE = {
+    app: { name: "base", timeoutMs: 1000, flags: {a: true, b: true} },
+    modules: [
+      {name: "log", level: "info"},
+      {name: "client", url: "https://base"}
+    ]
+  };
+
+  it("mergeContent() sections",   function() {
+    const got = sut.mergeContent({a: 1, s: {x: 1, y: 2}}, {b: 2, s: {y: -2, z: 3}});
+    aver.areEqual(1, got.a);
+    aver.areEqual(2, got.b);
+    aver.areEqual(1, got.s.x);
+    aver.areEqual(-2, got.s.y);
+    aver.areEqual(3, got.s.z);
+  });
+
+  it("mergeContent() does not mutate args",   function() {
+    const base = {s: {x: 1}};
+    const overlay = {s: {x: 2}};
+    const got = sut.mergeContent(base, overlay);
+    aver.areEqual(2, got.s.x);
+    aver.areEqual(1, base.s.x);
+    aver.areEqual(2, overlay.s.x);
+  });
+
+  it("mergeContent() arrays replace|append|merge",   function() {
+    const base = {arr: [{name: "a", v: 1}, {name: "b", v: 2}]};
+    const overlay = {arr: [{name: "b", v: -2, z: true}, {name: "c", v: 3}]};
+
+    let got = sut.mergeContent(base, overlay);
+    aver.areEqual(2, got.arr.length);
+    aver.areEqual("b", got.arr[0].name);
+
+    got = sut.mergeContent(base, overlay, sut.ARRAY_MERGE.APPEND);
+    aver.areEqual(4, got.arr.length);
+    aver.areEqual("a", got.arr[0].name);
+    aver.areEqual("c", got.arr[3].name);
+
+    got = sut.mergeContent(base, overlay, "merge");
+    aver.areEqual(3, got.arr.length);
+    aver.areEqual(1, got.arr[0].v);
+    aver.areEqual(-2, got.arr[1].v);
+    aver.areEqual(true, got.arr[1].z);
+    aver.areEqual("c", got.arr[2].name);
+  });
+
+  it("mergeContent() $merge directive",   function() {
+    const got = sut.mergeContent({a: [1, 2], b: [1, 2]}, {$merge: {a: "append"}, a: [3], b: [3]});
+    aver.areArraysEquivalent([1, 2, 3], got.a);
+    aver.areArraysEquivalent([3], got.b);
+    aver.isFalse(types.hown(got, "$merge"));
+  });
+
+  it("mergeContent() merged elements keep default mode for nested arrays",   function() {
+    const base = {mods: [{name: "a", tags: [1], subs: [{name: "x", v: [1]}]}]};
+    const overlay = {$merge: {mods: "merge"}, mods: [{name: "a", tags: [2], subs: [{name: "x", v: [2]}]}]};
+    let got = sut.mergeContent(base, overlay);
+    aver.areArraysEquivalent([2], got.mods[0].tags);
+    aver.areEqual(1, got.mods[0].subs.length);
+    aver.areArraysEquivalent([2], got.mods[0].subs[0].v);
+
+    got = sut.mergeContent(base, overlay, "append");
+    aver.areArraysEquivalent([1, 2], got.mods[0].tags);
+    aver.areEqual(2, got.mods[0].subs.length);
+  });
+
+  it("mergeContent() $delete directive",   function() {
+    const got = sut.mergeContent({a: 1, b: 2, c: 3}, {$delete: ["a", "c"], d: 4});
+    aver.areEqual(2, Object.keys(got).length);
+    aver.areEqual(2, got.b);
+    aver.areEqual(4, got.d);
+  });
+
+  it("no directives keeps content",   function() {
+    const content = {a: 1, b: {c: [1, {d: 2}]}};
+    const cfg = sut.config(content);
+    aver.areEqual(content, cfg.content);
+  });
+
+  it("$include",   function() {
+    const cfg = sut.config({
+      $include: "base",
+      app: { name: "app1", flags: { $delete: "b", c: true} }
+    }, { includes: { base: BASE } });
+
+    aver.areEqual("app1", cfg.root.nav("/app/name"));
+    aver.areEqual(1000, cfg.root.nav("/app/timeoutMs"));
+    aver.areEqual(true, cfg.root.nav("/app/flags/a"));
+    aver.areEqual(undefined, cfg.root.nav("/app/flags/b"));
+    aver.areEqual(true, cfg.root.nav("/app/flags/c"));
+    aver.areEqual(2, cfg.root.get("modules").count);
+    aver.isFalse(types.hown(cfg.content, "$include"));
+    aver.isFalse(types.hown(cfg.content.app.flags, "$delete"));
+  });
+
+  it("$include many, JSON string and function",   function() {
+    const cfg = sut.config({
+      $include: ["a", "b"],
+      z: 3
+    }, { includes: (name) => name === "a" ? {x: 1, y: 1} : '{"y": 2}' });
+
+    aver.areEqual(1, cfg.root.get("x"));
+    aver.areEqual(2, cfg.root.get("y"));
+    aver.areEqual(3, cfg.root.get("z"));
+  });
+
+  it("$include in sub-section",   function() {
+    const cfg = sut.config({
+      log: { $include: "log", level: "debug" }
+    }, { includes: { log: {level: "info", sink: "console"} } });
+
+    aver.areEqual("debug", cfg.root.nav("log/level"));
+    aver.areEqual("console", cfg.root.nav("log/sink"));
+  });
+
+  it("$include nested",   function() {
+    const cfg = sut.config({ $include: "a" }, { includes: { a: {$include: "b", a: 1}, b: {b: 2} } });
+    aver.areEqual(1, cfg.root.get("a"));
+    aver.areEqual(2, cfg.root.get("b"));
+  });
+
+  it("$include unknown",   function() {
+    aver.throws(() => sut.config({ $include: "zzz" }, { includes: { a: {} } }), "unknown config include 'zzz'");
+    aver.throws(() => sut.config({ $include: "zzz" }), "unknown config include 'zzz'");
+  });
+
+  it("$include recursive",   function() {
+    aver.throws(() => sut.config({ $include: "a" }, { includes: { a: {$include: "b"}, b: {$include: "a"} } }), "recursive config include 'a'");
+  });
+
+  it("$env by root envName",   function() {
+    const content = {
+      envName: "prod",
+      $include: "base",
+      $env: {
+        prod: { app: { timeoutMs: 5000 }, modules: [{name: "client", url: "https://prod"}], $merge: "merge" },
+        dev:  { app: { timeoutMs: 1 } }
+      }
+    };
+
+    const cfg = sut.config(content, { includes: { base: BASE } });
+    aver.areEqual(5000, cfg.root.nav("/app/timeoutMs"));
+    aver.areEqual(2, cfg.root.get("modules").count);
+    aver.areEqual("info", cfg.root.nav("/modules/0/level"));
+    aver.areEqual("https://prod", cfg.root.nav("/modules/1/url"));
+    aver.isFalse(types.hown(cfg.content, "$env"));
+  });
+
+  it("$env by option",   function() {
+    const content = { a: 1, $env: { dev: { a: 2 }, qa: { a: 3 } } };
+    aver.areEqual(1, sut.config(content).root.get("a"));
+    aver.areEqual(2, sut.config(content, {envName: "dev"}).root.get("a"));
+    aver.areEqual(3, sut.config(content, {envName: "qa"}).root.get("a"));
+    aver.areEqual(1, sut.config(content, {envName: "prod"}).root.get("a"));
+    aver.areEqual(3, sut.config({...content, envName: "$(~my:env)"}, {vars: {my: {env: "qa"}}}).root.get("a"));
+    aver.areEqual(2, sut.config({...content, env: "$(~env:AZOS_TESTS_NO_SUCH_VAR ?? dev)"}).root.get("a"));
+    aver.areEqual(4, sut.config({...content, $env: {...content.$env, local: { a: 4 }}}).root.get("a"));
+  });
+
+  it("$env arrayMerge option",   function() {
+    const content = { list: [1, 2], $env: { dev: { list: [3] } } };
+    aver.areArraysEquivalent([3], sut.config(content, {envName: "dev"}).content.list);
+    aver.areArraysEquivalent([1, 2, 3], sut.config(content, {envName: "dev", arrayMerge: "append"}).content.list);
+  });
+
+  it("var eval across merged content",   function() {
+    const cfg = sut.config({
+      $include: "paths",
+      log: { path: "$(/paths/root)/log" },
+      $env: { prod: { paths: { root: "/var/prod" } } }
+    }, { envName: "prod", includes: { paths: { paths: {root: "/var/app"} } } });
+
+    aver.areEqual("/var/prod/log", cfg.root.nav("/log/path"));
+  });
+
+});
+
+
+describe("Config::VarProviders", function() {
+
+  it("custom function and object providers",   function() {
+    const cfg = sut.config({
+      a: "$(~fn:x)-$(~obj:build.ver)",
+      b: "$(~obj:name)"
+    }, { vars: { fn: (name) => name.toUpperCase(), obj: { name: "app1", build: { ver: 17 } } } });
+
+    aver.areEqual("X-17", cfg.root.get("a"));
+    aver.areEqual("app1", cfg.root.get("b"));
+  });
+
+  it("defaults",   function() {
+    const cfg = sut.config({
+      a: "$(~obj:none ?? 8080)",
+      b: "$(~obj:port??9090)",
+      c: "$(/none ?? dflt)",
+      d: "$(/b ?? dflt)",
+      e: "$(~obj:nil ?? x)",
+    }, { vars: { obj: { port: 1234, nil: null } } });
+
+    aver.areEqual("8080", cfg.root.get("a"));
+    aver.areEqual("1234", cfg.root.get("b"));
+    aver.areEqual("dflt", cfg.root.get("c"));
+    aver.areEqual("1234", cfg.root.get("d"));
+    aver.areEqual("x", cfg.root.get("e"));
+    aver.areEqual(1234, cfg.root.getInt("b"));
+  });
+
+  it("provider values are evaluated",   function() {
+    const cfg = sut.config({
+      root: "/var",
+      log: "$(~obj:log)"
+    }, { vars: { obj: { log: "$(/root)/log" } } });
+
+    aver.areEqual("/var/log", cfg.root.get("log"));
+  });
+
+  it("recursive provider ref",   function() {
+    const cfg = sut.config({ a: "$(~obj:a)" }, { vars: { obj: { a: "x-$(~obj:a)" } } });
+    aver.throws(() => cfg.root.get("a"), "recursive ref to path '~obj:a'");
+  });
+
+  it("unknown provider",   function() {
+    const cfg = sut.config({ a: "$(~zzz:a)" });
+    aver.throws(() => cfg.root.get("a"), "unknown variable provider 'zzz'");
+  });
+
+  it("bad provider ref",   function() {
+    const cfg = sut.config({ a: "$(~zzz)" });
+    aver.throws(() => cfg.root.get("a"), "bad variable provider reference");
+  });
+
+  it("provider error",   function() {
+    const cfg = sut.config({ a: "$(~fn:a)" }, { vars: { fn: () => { throw new Error("crash"); } } });
+    aver.throws(() => cfg.root.get("a"), "variable provider 'fn' error resolving 'a': crash");
+  });
+
+  it("custom overrides default provider",   function() {
+    const cfg = sut.config({ a: "$(~env:HOME)" }, { vars: { env: { HOME: "/home/test" } } });
+    aver.areEqual("/home/test", cfg.root.get("a"));
+  });
+
+  it("env",   function() {
+    const cfg = sut.config({ a: "$(~env:AZOS_TEST_NONE ?? none)", b: "$(~env:PATH ?? none)" });
+    aver.areEqual("none", cfg.root.get("a"));
+    aver.isTrue(cfg.root.get("b").length > 0);
+  }, () => typeof(process) === "undefined" || !process.env);
+
+});
+
+
 
 class IConfMock{
   #name;
@@ -836,10 +1203,146 @@ describe("Config::MakeNew", function() {
 
 });
 
+describe("Config::TypeRegistry", function() {
+
+  it("register/resolve/unregister",   function() {
+    aver.areEqual("ConfMockA", sut.registerType(ConfMockA));
+    aver.areEqual("tests.mocks.B@2", sut.registerType(ConfMockB, " tests.mocks.B@2 "));
+    try{
+      aver.areEqual("ConfMockA", sut.registerType(ConfMockA));//idempotent
+      aver.areEqual(ConfMockA, sut.resolveType("ConfMockA"));
+      aver.areEqual(ConfMockB, sut.resolveType("tests.mocks.B@2", IConfMock));
+      aver.areEqual("tests.mocks.B@2", sut.getTypeMoniker(ConfMockB));
+      aver.isNull(sut.getTypeMoniker(ConfMockC));
+    } finally {
+      aver.isTrue(sut.unregisterType("ConfMockA"));
+      aver.isTrue(sut.unregisterType("tests.mocks.B@2"));
+    }
+    aver.isFalse(sut.unregisterType("ConfMockA"));
+    aver.throws(() => sut.resolveType("ConfMockA"), "Unknown type moniker 'ConfMockA'");
+  });
 
-describe("Config::Performance", function() {
+  it("bad monikers",   function() {
+    aver.throws(() => sut.registerType(ConfMockA, "1abc"), "Bad type moniker");
+    aver.throws(() => sut.registerType(ConfMockA, "a..b"), "Bad type moniker");
+    aver.throws(() => sut.registerType(ConfMockA, "a b"), "Bad type moniker");
+    aver.throws(() => sut.registerType(ConfMockA, "a@"), "Bad type moniker");
+  });
+
+  it("duplicate moniker",   function() {
+    sut.registerType(ConfMockA, "tests.Mock");
+    try{
+      aver.throws(() => sut.registerType(ConfMockB, "tests.Mock"), "already registered for type 'ConfMockA'");
+    } finally { sut.unregisterType("tests.Mock"); }
+  });
+
+  it("near match hint",   function() {
+    sut.registerType(ConfMockA, "tests.v1.Mock@1");
+    try{
+      aver.throws(() => sut.resolveType("tests.Mock"), "Did you mean: tests.v1.Mock@1?");
+    } finally { sut.unregisterType("tests.v1.Mock@1"); }
+  });
+
+  it("base restriction",   function() {
+    sut.registerType(ConfMockStandalone);
+    try{
+      aver.areEqual(ConfMockStandalone, sut.resolveType("ConfMockStandalone", Object));
+      aver.throws(() => sut.resolveType("ConfMockStandalone", IConfMock), "not of expected base 'IConfMock'");
+      //the type is not constructed when restricted
+      aver.throws(() => sut.makeNew(IConfMock, sut.config({type: "ConfMockStandalone"}).root), "not of expected base 'IConfMock'");
+    } finally { sut.unregisterType("ConfMockStandalone"); }
+  });
+
+  it("makeNew from JSON",   function() {
+    sut.registerType(ConfMockA, "tests.MockA");
+    try{
+      const cfg = sut.config('{"type": "tests.MockA", "name": "A", "age": 33}');
+      const got = sut.makeNew(IConfMock, cfg.root);
+      aver.isOf(got, ConfMockA);
+      aver.areEqual(33, got.age);
+      aver.throws(() => sut.makeNew(IConfMock, sut.config({type: "tests.MockZ"}).root), "Unknown type moniker 'tests.MockZ'");
+    } finally { sut.unregisterType("tests.MockA"); }
+  });
+
+  it("export uses monikers",   function() {
+    sut.registerType(ConfMockA, "tests.MockA@3");
+    try{
+      const cfg = sut.config({a: {type: ConfMockA}, b: {type: ConfMockB}});
+      aver.areEqual('{"a":{"type":"tests.MockA@3"},"b":{"type":"ConfMockB"}}', cfg.toJson());
+    } finally { sut.unregisterType("tests.MockA@3"); }
+  });
+
+});
+
+describe("Config::Changes", function() {
+
+  it("diffContent() same",   function() {
+    const d = new Date(1000);
+    aver.areEqual(0, sut.diffContent({a: 1, b: {c: [1, {d: 2}], e: d}}, {a: 1, b: {c: [1, {d: 2}], e: new Date(1000)}}).length);
+  });
+
+  it("diffContent() changes",   function() {
+    const got = sut.diffContent(
+      {a: 1, b: {c: [1, {d: 2}, 3], e: "x"}, f: {g: 1}, h: 1},
+      {a: 2, b: {c: [1, {d: 5}], e: "x", k: true}, f: 7, i: {j: 1}}
+    );
+    aver.areArraysEquivalent(["/a", "/b/c/#1/d", "/b/c/#2", "/b/k", "/f", "/h", "/i"], got);
+  });
+
+  it("diffContent() verbatim",   function() {
+    aver.areEqual(0, sut.diffContent({a: new sut.Verbatim({x: 1})}, {a: new sut.Verbatim({x: 1})}).length);
+    aver.areArraysEquivalent(["/a"], sut.diffContent({a: new sut.Verbatim({x: 1})}, {a: new sut.Verbatim({x: 2})}));
+  });
+
+  it("patch()",   function() {
+    const cfg = sut.config({a: 1, b: {c: 2, d: 3}, arr: [1, 2], v: "~win:zzz"}, {vars: {my: {x: "X"}}});
+    const got = cfg.patch({a: 10, b: {$delete: "d", e: 5}, arr: [3], $merge: "append", z: "$(~my:x)"});
+    aver.areNotEqual(cfg, got);
+    aver.areEqual(1, cfg.root.get("a"));
+    aver.areEqual(3, cfg.root.nav("b/d"));
+
+    aver.areEqual(10, got.root.get("a"));
+    aver.areEqual(2, got.root.nav("b/c"));
+    aver.isUndefined(got.root.nav("b/d"));
+    aver.areEqual(5, got.root.nav("b/e"));
+    aver.areArraysEquivalent([1, 2, 3], got.root.get("arr").toObject());
+    aver.areEqual("X", got.root.get("z"));//same var providers
+  });
+
+  it("patch() keeps options",   function() {
+    const cfg = sut.config({a: 1}, {envName: "prod", includes: {net: {port: 80}}, vars: {my: {x: "X"}}});
+    const got = cfg.patch({$include: "net", b: "$(~my:x)", $env: {prod: {a: 2}, dev: {a: 3}}});
+    aver.areEqual(2, got.root.get("a"));
+    aver.areEqual(80, got.root.get("port"));
+    aver.areEqual("X", got.root.get("b"));
+    aver.isUndefined(got.root.get("$env"));
+  });
+
+  it("patch() bad",   function() {
+    const cfg = sut.config({a: 1});
+    aver.throws(() => cfg.patch("{a: "), "Bad configuration patch content");
+    aver.throws(() => cfg.patch(null), "Bad configuration patch content");
+  });
+
+  it("ConfigChangeEvent",   function() {
+    const cfg = sut.config({a: 1, log: {level: "debug", x: {y: 1}}, modules: [{name: "m1"}, {name: "m2"}]});
+    const evt = new sut.ConfigChangeEvent(this, cfg, cfg.patch({log: {x: {y: 2}}, modules: [{name: "m1"}, {name: "m2", z: 1}]}));
+    aver.areArraysEquivalent(["/log/x/y", "/modules/#1/z"], evt.changes);
+    aver.isTrue(evt.isAffected("/"));
+    aver.isTrue(evt.isAffected("/log"));
+    aver.isTrue(evt.isAffected("/log/"));
+    aver.isTrue(evt.isAffected("/log/x/y/z"));
+    aver.isFalse(evt.isAffected("/log/level"));
+    aver.isFalse(evt.isAffected("/a"));
+    aver.isFalse(evt.isAffected("/modules/#0"));
+    aver.isTrue(evt.isAffected(evt.newConfig.root.nav("/modules/#1")));
+    aver.isFalse(evt.isAffected("/lo"));
+  });
+
+});
 
-  const cfgJson =`{
+/** Config json text with variables, arrays and nested sections, used by performance and export round trip tests */
+const cfgJson =`{
     "a": 1, "b": true, "c": false, "d": null, "e": -9e3, "msg": "loaded from json",
 
     "obj-a": { "ar": [{"a":{"b":[ 1,null,3,4,"sduhfsuihdfiuhsdu",6,7,8,9]}},{}, {"x": -9}, true, true, false, -79] },
@@ -858,6 +1361,91 @@ describe("Config::Performance", function() {
      }
     }`;
 
+describe("Config::Export", function() {
+
+  const FIXTURES = [JSON.parse(cfgJson), TYPED_GETTERS_CONTENT];
+
+  it("toObject() raw",   function() {
+    for(const content of FIXTURES){
+      const got = sut.config(content).toObject();
+      aver.areEqual(JSON.stringify(content), JSON.stringify(got));
+    }
+    const got = sut.config(cfgJson).toObject();
+    aver.areEqual("$(/app/paths/log)/shneershon/$(/c)-borukh", got.app.log.provider.sinks[0].path);
+  });
+
+  it("toObject() evaluated",   function() {
+    const cfg = sut.config(cfgJson);
+    const got = cfg.root.get("app").toObject({evaluate: true});
+    aver.areEqual("/etc/testing/book/shneershon/false-borukh", got.log.provider.sinks[0].path);
+    aver.areArraysEquivalent(["x", 1, true, "a, b;c,, "], sut.config(TYPED_GETTERS_CONTENT).root.get("hostsArr").toObject({evaluate: true}));
+  });
+
+  it("toJson() round trip",   function() {
+    for(const content of FIXTURES){
+      const cfg1 = sut.config(content);
+      const json1 = cfg1.toJson();
+      aver.areEqual(json1, sut.config(json1).toJson());
+      aver.areEqual(json1, sut.config(cfg1.toObject()).toJson());
+    }
+
+    const cfg2 = sut.config(sut.config(cfgJson).toJson());
+    aver.areEqual("sduhfsuihdfiuhsdu", cfg2.root.nav("/obj-a/ar/0/a/b/4"));
+    aver.isNull(cfg2.root.nav("/obj-b/ar/1"));
+    aver.areEqual(-79, cfg2.root.nav("/obj-a/ar/6"));
+    aver.areEqual("/etc/testing/book/shneershon/false-borukh", cfg2.root.nav("/app/log/provider/sinks/0/path"));
+
+    const cfg3 = sut.config(sut.config(TYPED_GETTERS_CONTENT).toJson()).root;
+    aver.areArraysEquivalent([8080, 8081, 5], cfg3.getIntArray("portsArr"));
+    aver.areEqual(600_000, cfg3.getDuration("durVar"));
+    aver.areEqual(1, cfg3.nav("section/a"));
+  });
+
+  it("JSON.stringify()",   function() {
+    const cfg = sut.config(cfgJson);
+    aver.areEqual(cfg.toJson(), JSON.stringify(cfg));
+    aver.areEqual(JSON.stringify(JSON.parse(cfgJson).app), JSON.stringify(cfg.root.get("app")));
+  });
+
+  it("toJson() space",   function() {
+    const got = sut.config({a: {b: 1}}).toJson(null, 2);
+    aver.areEqual('{\n  "a": {\n    "b": 1\n  }\n}', got);
+  });
+
+  it("dates",   function() {
+    const cfg = sut.config({dob: new Date("1980-08-05T00:00:00Z")});
+    aver.isTrue(cfg.toObject().dob instanceof Date);
+    const cfg2 = sut.config(cfg.toJson());
+    aver.areEqual(1980, cfg2.root.getDate("dob").getUTCFullYear());
+  });
+
+  it("verbatim",   function() {
+    const buf = [1, 2, 3];
+    const cfg = sut.config({buffer: new sut.Verbatim(buf), map: new sut.Verbatim({a: 1})});
+
+    let got = cfg.toObject();
+    aver.areEqual(buf, got.buffer);
+
+    got = cfg.toObject({verbatim: true});
+    aver.isOf(got.buffer, sut.Verbatim);
+    const cfg2 = sut.config(got);
+    aver.areEqual(buf, cfg2.root.get("buffer"));
+    aver.isNotOf(cfg2.root.get("map"), sut.ConfigNode);
+
+    aver.areEqual('{"buffer":[1,2,3],"map":{"a":1}}', cfg.toJson({verbatim: true}));
+  });
+
+  it("type references",   function() {
+    const cfg = sut.config({ mods: [ {name: "a", type: ConfMockA}, {name: "b", type: ConfMockB} ] });
+    aver.areEqual('{"mods":[{"name":"a","type":"ConfMockA"},{"name":"b","type":"ConfMockB"}]}', cfg.toJson());
+    aver.areEqual('{"mods":[{"name":"a","type":"t:ConfMockA"},{"name":"b","type":"t:ConfMockB"}]}', cfg.toJson({typeName: t => `t:${t.name}`}));
+  });
+
+});
+
+
+
+describe("Config::Performance", function() {
 
   it("from Json",   function() { // 75K ops/sec on OCTOD
     this.timeoutMs = 500;
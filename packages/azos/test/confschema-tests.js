@@ -0,0 +1,158 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+//import { describe, it } from "mocha";
+import { defineUnit as describe, defineCase as it } from "../run.js";
+import * as aver from "../aver.js";
+import { dispose } from "../types.js";
+import { LOG_TYPE } from "../log.js";
+import { config, makeNew, ConfigError, ConfigValidationError } from "../conf.js";
+import { application } from "../application.js";
+import { Module } from "../modules.js";
+import * as sut from "../confschema.js";
+
+
+const SCHEMA = {
+  url:       {required: true, names: ["url", "rootUrl"], pattern: /^https?:\/\//},
+  timeoutMs: {type: "int", min: 0, max: 10_000},
+  level:     {values: LOG_TYPE},
+  mode:      {values: ["fast", "slow"]},
+  enabled:   {type: "bool"},
+  options:   {type: "object", strict: true, schema: { retries: {type: "int", required: true} }},
+  hosts:     {type: "array", min: 1, of: {type: "str", required: true}},
+};
+
+function paths(errors){ return errors.map(e => e.from); }
+
+describe("ConfigSchema", function() {
+
+  it("valid",   function() {
+    const cfg = config({
+      rootUrl: "https://api.local",
+      timeoutMs: "5000",
+      level: "debug",
+      mode: "FAST",
+      enabled: "yes",
+      options: { retries: 3 },
+      hosts: ["a", "b"]
+    });
+    const got = sut.validate(cfg, SCHEMA);
+    aver.areEqual(0, got.length);
+  });
+
+  it("only required",   function() {
+    const got = sut.validate(config({url: "http://x"}), SCHEMA);
+    aver.areEqual(0, got.length);
+  });
+
+  it("required missing",   function() {
+    const got = sut.validate(config({}), SCHEMA);
+    aver.areEqual(1, got.length);
+    aver.isOf(got[0], ConfigError);
+    aver.areEqual("/url", got[0].from);
+    aver.isTrue(got[0].message.indexOf("missing") >= 0);
+  });
+
+  it("bad types",   function() {
+    const got = sut.validate(config({url: "http://x", timeoutMs: "abc", enabled: "maybe", options: 1, hosts: {a: 1}}), SCHEMA);
+    aver.areArraysEquivalent(["/timeoutMs", "/enabled", "/options", "/hosts"], paths(got));
+  });
+
+  it("ranges, values and patterns",   function() {
+    const got = sut.validate(config({url: "ftp://x", timeoutMs: 20_000, level: "Loud", mode: "medium", hosts: []}), SCHEMA);
+    aver.areArraysEquivalent(["/url", "/timeoutMs", "/level", "/mode", "/hosts"], paths(got));
+  });
+
+  it("nested sections and arrays",   function() {
+    const got = sut.validate(config({url: "http://x", options: { retries: "many", retry: 2 }, hosts: ["a", null, {}]}), SCHEMA);
+    aver.areArraysEquivalent(["/options/retries", "/options/retry", "/hosts/#1", "/hosts/#2"], paths(got));
+  });
+
+  it("strict",   function() {
+    const schema = new sut.ConfigSchema({name: {}, order: {type: "int"}}, true);
+    const got = schema.validate(config({type: "x", name: "a", ordr: 2}).root);
+    aver.areEqual(1, got.length);
+    aver.areEqual("/ordr", got[0].from);
+  });
+
+  it("validates evaluated vars",   function() {
+    const got = sut.validate(config({url: "http://x", limits: {max: "abc"}, timeoutMs: "$(/limits/max)"}), SCHEMA);
+    aver.areArraysEquivalent(["/timeoutMs"], paths(got));
+  });
+
+  it("averValid()",   function() {
+    const cfg = config({timeoutMs: -1});
+    let err = null;
+    try{ sut.averValid(cfg, SCHEMA); }
+    catch(e){ err = e; }
+
+    aver.isOf(err, ConfigValidationError);
+    aver.areEqual(2, err.errors.length);
+    aver.areArraysEquivalent(["/url", "/timeoutMs"], paths(err.errors));
+    aver.areEqual(2, err.provideExternalStatus()["errors"].length);
+  });
+});
+
+
+class SchemaMock{
+  static [sut.CONFIG_SCHEMA_PROP] = { age: {type: "int", required: true, min: 0} };
+  #age;
+  constructor(cfg){ this.#age = cfg.getInt("age"); }
+  get age(){ return this.#age; }
+}
+
+class IGreeter extends Module{
+  static [sut.CONFIG_SCHEMA_PROP] = { greeting: {required: true} };
+  constructor(dir, cfg){ super(dir, cfg); }
+}
+
+class PoliteGreeter extends IGreeter{
+  static [sut.CONFIG_SCHEMA_PROP] = new sut.ConfigSchema({ greeting: {required: true}, title: {values: ["Mr", "Ms"]} });
+  constructor(dir, cfg){ super(dir, cfg); }
+}
+
+describe("ConfigSchema::MakeNew", function() {
+
+  it("valid",   function() {
+    const got = makeNew(SchemaMock, config({type: SchemaMock, age: 18}).root);
+    aver.areEqual(18, got.age);
+  });
+
+  it("invalid",   function() {
+    aver.throws(() => makeNew(SchemaMock, config({type: SchemaMock, age: -1}).root), "'/age' the value (number)-1 is less than min");
+    aver.throws(() => makeNew(SchemaMock, config({x: 1}).root, null, SchemaMock), "'/age' required value is missing");
+  });
+
+  it("app modules valid",   function() {
+    const app = application({ modules: [ {name: "greeter", type: PoliteGreeter, greeting: "Hello", title: "Ms"} ] });
+    aver.isOf(app.moduleLinker.resolve(IGreeter), PoliteGreeter);
+    dispose(app);
+  });
+
+  it("app modules are validated once",   function() {
+    let calls = 0;
+    class CountingSchema extends sut.ConfigSchema{
+      constructor(){ super({ greeting: {required: true} }); }
+      validate(node, errors = null){ calls++; return super.validate(node, errors); }
+    }
+    class CountedGreeter extends IGreeter{
+      static [sut.CONFIG_SCHEMA_PROP] = new CountingSchema();
+      constructor(dir, cfg){ super(dir, cfg); }
+    }
+    const app = application({ modules: [ {name: "greeter", type: CountedGreeter, greeting: "Hello"} ] });
+    dispose(app);
+    aver.areEqual(1, calls);
+  });
+
+  it("app modules report all errors",   function() {
+    aver.throws(() => application({
+      modules: [
+        {name: "g1", type: PoliteGreeter, title: "Sir"},
+        {name: "g2", type: IGreeter}
+      ]
+    }), "'/modules/#0/greeting' required value is missing; '/modules/#0/title' value (string[3])\"Sir\" is not one of: Mr, Ms; '/modules/#1/greeting' required");
+  });
+});
@@ -0,0 +1,244 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+//import { describe, it } from "mocha";
+import { defineUnit as describe, defineCase as it } from "../run.js";
+import * as aver from "../aver.js";
+import * as sut from "../events.js";
+
+class UiEvent extends sut.Event{ constructor(sender, bag){ super(sender, bag); } }
+class ClickEvent extends UiEvent{ constructor(sender, bag){ super(sender, bag); } }
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe("Events", function() {
+
+  describe("emit()", function() {
+
+    it("specificity and handled",   function() {
+      const ctx = {};
+      const emitter = new sut.EventEmitter(ctx);
+      const calls = [];
+      const general = function(e){ aver.areEqual(ctx, this); calls.push(`general:${e.bag}`); };
+      const specific = { [sut.EVENT_HANDLER_FUN]: (e) => calls.push(`specific:${e.bag}`) };
+      aver.isTrue(emitter.subscribe(general, sut.Event, UiEvent));
+      aver.isTrue(emitter.subscribe(specific, ClickEvent));
+      aver.isFalse(emitter.subscribe(general, UiEvent));
+
+      aver.isTrue(emitter.emit(new ClickEvent(null, 1)));
+      aver.areArraysEquivalent(["specific:1", "general:1"], calls);
+
+      calls.length = 0;
+      emitter.subscribe((e) => e.handled = true, ClickEvent);
+      emitter.unsubscribe(specific);
+      aver.isTrue(emitter.emit(new ClickEvent(null, 2)));
+      aver.areEqual(0, calls.length);
+    });
+
+  });
+
+  describe("emitAsync()", function() {
+
+    it("sequential awaits handlers in order",   async function() {
+      const emitter = new sut.EventEmitter();
+      const calls = [];
+      const slow = async (e) => { await delay(10); calls.push(`slow:${e.bag}`); };
+      const fast = (e) => { calls.push(`fast:${e.bag}`); };
+      emitter.subscribe(slow, ClickEvent);
+      emitter.subscribe(fast, UiEvent);
+
+      const got = await emitter.emitAsync(new ClickEvent(null, 1));
+      aver.areArraysEquivalent(["slow:1", "fast:1"], calls);
+      aver.isTrue(got.matched);
+      aver.isFalse(got.handled);
+      aver.areEqual(0, got.errors.length);
+      aver.areEqual(2, got.handlers.length);
+      aver.areEqual(slow, got.handlers[0].listener);
+      aver.areEqual(ClickEvent, got.handlers[0].etype);
+      aver.areEqual(UiEvent, got.handlers[1].etype);
+      aver.isTrue(got.handlers[0].ok);
+      aver.isTrue(got.handlers[0].latencyMs >= 5);
+    });
+
+    it("sequential stops once handled",   async function() {
+      const emitter = new sut.EventEmitter();
+      const calls = [];
+      emitter.subscribe(async (e) => { await delay(1); e.handled = true; }, ClickEvent);
+      emitter.subscribe(() => calls.push("general"), UiEvent);
+      const got = await emitter.emitAsync(new ClickEvent());
+      aver.isTrue(got.handled);
+      aver.areEqual(1, got.handlers.length);
+      aver.areEqual(0, calls.length);
+    });
+
+    it("parallel",   async function() {
+      const emitter = new sut.EventEmitter();
+      const calls = [];
+      emitter.subscribe(async () => { await delay(20); calls.push("a"); }, ClickEvent);
+      emitter.subscribe(async (e) => { await delay(1); e.handled = true; calls.push("b"); }, UiEvent);
+      const got = await emitter.emitAsync(new ClickEvent(), {parallel: true});
+      aver.areArraysEquivalent(["b", "a"], calls);
+      aver.areEqual(2, got.handlers.length);
+      aver.isTrue(got.handled);
+    });
+
+    it("aggregates errors and timeouts",   async function() {
+      const emitter = new sut.EventEmitter();
+      const calls = [];
+      emitter.subscribe(() => { throw new Error("sync fail"); }, ClickEvent);
+      emitter.subscribe(async () => { await delay(1); throw new Error("async fail"); }, ClickEvent);
+      emitter.subscribe(() => delay(200), ClickEvent);
+      emitter.subscribe({ [sut.EVENT_HANDLER_FUN]: () => calls.push("obj") }, sut.Event);
+
+      const got = await emitter.emitAsync(new ClickEvent(), {timeoutMs: 30});
+      aver.areArraysEquivalent(["obj"], calls);
+      aver.areEqual(4, got.handlers.length);
+      aver.areEqual(3, got.errors.length);
+      aver.areEqual("sync fail", got.errors[0].message);
+      aver.areEqual("async fail", got.errors[1].message);
+      aver.isOf(got.errors[2], sut.EventError);
+      aver.isTrue(got.errors[2].message.indexOf("Handler of 'ClickEvent' via 'ClickEvent' timed out after 30 ms") >= 0);
+      aver.isFalse(got.handlers[2].ok);
+      aver.isTrue(got.handlers[3].ok);
+    });
+
+    it("no match",   async function() {
+      const emitter = new sut.EventEmitter();
+      emitter.subscribe(() => {}, ClickEvent);
+      const got = await emitter.emitAsync(new UiEvent());
+      aver.isFalse(got.matched);
+      aver.areEqual(0, got.handlers.length);
+      let error = null;
+      try{ await emitter.emitAsync({}); } catch(e) { error = e; }
+      aver.isNotNull(error);
+    });
+
+  });
+
+
+  describe("retention", function() {
+
+    it("sticky and replay buffers",   function() {
+      const emitter = new sut.EventEmitter();
+      aver.areEqual(0, emitter.retain(ClickEvent));
+      aver.areEqual(0, emitter.retain(UiEvent, 3));
+      aver.areEqual(2, emitter.retention.length);
+
+      emitter.emit(new sut.Event(null, 0));
+      for(let i = 1; i <= 4; i++) emitter.emit(new ClickEvent(null, i));
+      emitter.emit(new UiEvent(null, 5));
+
+      aver.areArraysEquivalent([3, 4], emitter.getRetained(ClickEvent).map(e => e.bag));
+      aver.areArraysEquivalent([3, 4, 5], emitter.getRetained().map(e => e.bag));
+
+      const calls = [];
+      aver.isTrue(emitter.subscribe((e) => calls.push(`c${e.bag}`), ClickEvent));
+      aver.areArraysEquivalent(["c3", "c4"], calls);//ClickEvent(3) is retained in UiEvent buffer
+
+      calls.length = 0;
+      const obj = { [sut.EVENT_HANDLER_FUN]: (e) => calls.push(`o${e.bag}`) };
+      aver.isTrue(emitter.subscribe(obj, sut.Event, UiEvent));
+      aver.areArraysEquivalent(["o3", "o4", "o5"], calls);
+
+      calls.length = 0;
+      aver.isFalse(emitter.subscribe(obj, UiEvent));
+      aver.areEqual(0, calls.length);
+
+      emitter.emit(new ClickEvent(null, 6));
+      aver.areArraysEquivalent(["c6", "o6"], calls);
+      aver.areArraysEquivalent([4, 5, 6], emitter.getRetained().map(e => e.bag));
+    });
+
+    it("inspect and clear",   async function() {
+      const emitter = new sut.EventEmitter();
+      emitter.retain(UiEvent, 5);
+      emitter.retain(ClickEvent);
+      emitter.emit(new UiEvent(null, 1));
+      await emitter.emitAsync(new ClickEvent(null, 2));
+
+      const ret = emitter.retention;
+      aver.areEqual(UiEvent, ret[0].etype);
+      aver.areEqual(5, ret[0].depth);
+      aver.areEqual(2, ret[0].count);
+      aver.areEqual(1, ret[1].count);
+
+      aver.areEqual(5, emitter.retain(UiEvent, 1));
+      aver.areArraysEquivalent([2], emitter.getRetained(UiEvent).map(e => e.bag));
+
+      aver.areEqual(1, emitter.clearRetained(ClickEvent));
+      aver.areEqual(0, emitter.getRetained().length);
+      aver.areEqual(2, emitter.retention.length);
+
+      emitter.emit(new ClickEvent(null, 3));
+      aver.areEqual(1, emitter.retain(ClickEvent, 0));
+      aver.areArraysEquivalent([3], emitter.getRetained().map(e => e.bag));
+      aver.areEqual(1, emitter.clearRetained());
+      aver.throws(() => emitter.retain(Object), "isSubclassOf");
+    });
+
+  });
+
+
+  describe("vetoable", function() {
+
+    class Closing extends sut.CancelableEvent{ constructor(sender, bag){ super(sender, bag); } }
+    class Closed extends sut.Event{ constructor(sender, bag){ super(sender, bag); } }
+
+    it("sync",   function() {
+      const emitter = new sut.EventEmitter();
+      const calls = [];
+      emitter.subscribe((e) => calls.push(`closed:${e.bag}`), Closed);
+
+      let got = sut.vetoable(emitter, new Closing(null, 1), () => { calls.push("act"); return 10; }, (r) => new Closed(null, r));
+      aver.isTrue(got.done);
+      aver.areEqual(10, got.result);
+      aver.areArraysEquivalent(["act", "closed:10"], calls);
+
+      calls.length = 0;
+      const veto1 = (e) => e.veto("dirty form");
+      emitter.subscribe(veto1, Closing);
+      emitter.subscribe((e) => e.veto(), sut.CancelableEvent);
+      const before = new Closing(null, 2);
+      got = sut.vetoable(emitter, before, () => calls.push("act"), new Closed(null, 2));
+      aver.isFalse(got.done);
+      aver.isUndefined(got.result);
+      aver.areArraysEquivalent(["dirty form", "Vetoed"], got.vetoes);
+      aver.isTrue(before.vetoed);
+      aver.areEqual("dirty form", before.reason);
+      aver.areEqual(0, calls.length);
+
+      got = sut.vetoable(emitter, null, () => calls.push("forced"));
+      aver.isTrue(got.done);
+      aver.areArraysEquivalent(["forced"], calls);
+      aver.throws(() => sut.vetoable(emitter, new Closed(), () => 1), "isOf");
+    });
+
+    it("async",   async function() {
+      const emitter = new sut.EventEmitter();
+      const calls = [];
+      emitter.subscribe(async (e) => { await delay(1); if (e.bag === 2) e.veto("not now"); }, Closing);
+      emitter.subscribe(() => { throw new Error("after fail"); }, Closed);
+
+      let got = await sut.vetoableAsync(emitter, new Closing(null, 1), async () => { await delay(1); calls.push("act"); return 7; }, new Closed());
+      aver.isTrue(got.done);
+      aver.areEqual(7, got.result);
+      aver.areEqual(1, got.errors.length);
+      aver.areEqual("after fail", got.errors[0].message);
+
+      got = await sut.vetoableAsync(emitter, new Closing(null, 2), () => calls.push("act"));
+      aver.isFalse(got.done);
+      aver.areArraysEquivalent(["not now"], got.vetoes);
+
+      emitter.subscribe(() => { throw new Error("guard fail"); }, sut.CancelableEvent);
+      got = await sut.vetoableAsync(emitter, new Closing(null, 3), () => calls.push("act"));
+      aver.isFalse(got.done);
+      aver.areArraysEquivalent(["guard fail"], got.vetoes);
+      aver.areArraysEquivalent(["act"], calls);
+    });
+
+  });
+
+});
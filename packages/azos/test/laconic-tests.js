@@ -0,0 +1,160 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+//import { describe, it } from "mocha";
+import { defineUnit as describe, defineCase as it } from "../run.js";
+import * as aver from "../aver.js";
+import { config, ConfigError, CONFIG_FORMAT, parseContent } from "../conf.js";
+import * as sut from "../laconic.js";
+
+
+const LACONIC = `
+  // application config
+  id = app1
+  name = "My Application"
+  'quoted name' = 'single quoted'
+  version = 1.25
+  count = -3
+  enabled = true
+  nothing = null
+  escapes = "a\\tb\\n\\u0041\\"q\\""
+  /* block
+     comment */
+  log{ level = debug; timeoutMs = 2e3 }
+  hosts = [ "a", b, 3 true ]
+  modules = [
+    { name = log  type = ConLog }
+    { name = sync type = AppSync, opts{ a = 1 } }
+  ]
+  empty{ }
+`;
+
+const JSON_CONTENT = `{
+  "id": "app1",
+  "name": "My Application",
+  "quoted name": "single quoted",
+  "version": 1.25,
+  "count": -3,
+  "enabled": true,
+  "nothing": null,
+  "escapes": "a\\tb\\nA\\"q\\"",
+  "log": { "level": "debug", "timeoutMs": 2000 },
+  "hosts": ["a", "b", 3, true],
+  "modules": [
+    { "name": "log", "type": "ConLog" },
+    { "name": "sync", "type": "AppSync", "opts": { "a": 1 } }
+  ],
+  "empty": {}
+}`;
+
+describe("Laconic", function() {
+
+  it("same tree as JSON",   function() {
+    const cfgL = config(LACONIC, {format: CONFIG_FORMAT.LACONIC});
+    const cfgJ = config(JSON_CONTENT);
+    aver.areEqual(cfgJ.toJson(), cfgL.toJson());
+    aver.areEqual("sync", cfgL.root.get("modules").get(1).get("name"));
+    aver.areEqual(1, cfgL.root.nav("/modules/#1/opts/a"));
+  });
+
+  it("root in braces",   function() {
+    const got = sut.parseLaconic("{ a = 1 b{ c = 'x' } }");
+    aver.areEqual(1, got.a);
+    aver.areEqual("x", got.b.c);
+  });
+
+  it("empty",   function() {
+    aver.areEqual(0, Object.keys(sut.parseLaconic("")).length);
+    aver.areEqual(0, Object.keys(sut.parseLaconic(" // nothing ")).length);
+  });
+
+  it("multi-line strings",   function() {
+    const got = sut.parseLaconic(`
+      a = """line 1
+  "line" 2"""
+      b = '''x'''
+    `);
+    aver.areEqual("line 1\n  \"line\" 2", got.a);
+    aver.areEqual("x", got.b);
+  });
+
+  it("words",   function() {
+    const got = sut.parseLaconic("url = https://api.local/v1 path = a/b neg = -0.5 ver = 1.2.3 yes = TRUE");
+    aver.areEqual("https://api.local/v1", got.url);
+    aver.areEqual("a/b", got.path);
+    aver.areEqual(-0.5, got.neg);
+    aver.areEqual("1.2.3", got.ver);
+    aver.areEqual("TRUE", got.yes);
+  });
+
+  it("comments after words",   function() {
+    const got = sut.parseLaconic("a = b //comment\nc = d/e /* x */ f = 1");
+    aver.areEqual("b", got.a);
+    aver.areEqual("d/e", got.c);
+    aver.areEqual(1, got.f);
+  });
+
+  it("config vars",   function() {
+    const cfg = config("a = 1 b = '$(/a)'", {format: "laconic"});
+    aver.areEqual("1", cfg.root.get("b"));
+  });
+
+  it("includes",   function() {
+    const cfg = config("$include = common  a = 1", {format: CONFIG_FORMAT.LACONIC, includes: { common: "b = 2" }});
+    aver.areEqual(1, cfg.root.get("a"));
+    aver.areEqual(2, cfg.root.get("b"));
+  });
+
+  it("parseContent()",   function() {
+    aver.areEqual(1, parseContent("a = 1", CONFIG_FORMAT.LACONIC).a);
+    aver.areEqual(1, parseContent('{"a": 1}').a);
+    aver.areEqual(1, parseContent('{"a": 1}', "unknown").a);
+  });
+
+  it("__proto__ is an own attribute",   function() {
+    const got = sut.parseLaconic("__proto__ { polluted = true } a = 1");
+    aver.areEqual(Object.prototype, Object.getPrototypeOf(got));
+    aver.isUndefined(got.polluted);
+    aver.isTrue(Object.prototype.hasOwnProperty.call(got, "__proto__"));
+    aver.isTrue(Object.keys(got).includes("__proto__"));
+    aver.areEqual(true, got["__proto__"].polluted);
+    aver.throws(() => sut.parseLaconic("__proto__ = 1 __proto__ = 2"), "duplicate name '__proto__'");
+  });
+
+  it("error positions",   function() {
+    aver.throws(() => sut.parseLaconic("a = 1\n  b 2"), "line 2, col 5: expecting '=' or '{' after name 'b'");
+    aver.throws(() => sut.parseLaconic("a = 1\nb{ c = 2"), "line 2, col 9: unexpected end of text, expecting '}'");
+    aver.throws(() => sut.parseLaconic("a = [1, 2"), "line 1, col 10: unexpected end of text, expecting ']'");
+    aver.throws(() => sut.parseLaconic("a = 1\n a = 2"), "line 2, col 2: duplicate name 'a'");
+    aver.throws(() => sut.parseLaconic("a = \"abc\n\""), "line 1, col 5: unterminated string");
+    aver.throws(() => sut.parseLaconic("\n\n  x = '''abc"), "line 3, col 7: unterminated multi-line string");
+    aver.throws(() => sut.parseLaconic("a = 1 /* oops"), "line 1, col 7: unterminated block comment");
+    aver.throws(() => sut.parseLaconic("a = }"), "line 1, col 5: unexpected '}', expecting a value");
+    aver.throws(() => sut.parseLaconic("{a = 1} b = 2"), "line 1, col 9: unexpected 'b' after root section");
+    aver.throws(() => sut.parseLaconic("a = '\\u00zz'"), "bad unicode escape");
+  });
+
+  it("error type",   function() {
+    let err = null;
+    try{ sut.parseLaconic("= 1"); }
+    catch(e){ err = e; }
+    aver.isOf(err, ConfigError);
+    aver.areEqual("parseLaconic()", err.from);
+  });
+
+  it("patch()",   function() {
+    const cfg = config("a = 1 b { c = 2 }", {format: CONFIG_FORMAT.LACONIC});
+    const got = cfg.patch("b { d = 3 }");
+    aver.areEqual(1, got.root.get("a"));
+    aver.areEqual(2, got.root.nav("b/c"));
+    aver.areEqual(3, got.root.nav("b/d"));
+    aver.throws(() => cfg.patch('{"a": 2}'), "Bad configuration patch content");
+  });
+
+  it("config ctor wraps errors",   function() {
+    aver.throws(() => config("a = 1\nb = [", {format: CONFIG_FORMAT.LACONIC}), "Bad configuration init content: Laconic syntax error at line 2, col 6");
+  });
+});
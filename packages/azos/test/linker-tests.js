@@ -9,10 +9,12 @@ import { defineUnit as describe, defineCase as it } from "../run.js";
 import * as aver from "azos/aver";
 import {ABSTRACT} from "azos/coreconsts";
 import * as conf from "azos/conf";
+import * as types from "azos/types";
 import * as apps from "azos/application";
 //import * as cmp from "azos/components";
 import * as mod from "azos/modules";
 import * as sut from "azos/linker";
+import { ILog } from "azos/ilog";
 
 
 class IWeather extends mod.Module{
@@ -288,4 +290,330 @@ describe("Linker", function() {
 
   });
 
+  describe("Scopes", function() {
+
+    it("child falls back to parent",   function() {
+      const root = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      const modLocal = new LocalWeather(apps.NopApplication.instance, cfg);
+      const modNational = new NationWeather(apps.NopApplication.instance, cfg);
+      aver.isTrue(  root.register(modLocal, null, "loc")  );
+
+      const child = root.createChild();
+      aver.isOf(child, mod.ModuleLinker);
+      aver.areEqual(root, child.parent);
+      aver.areArraysEquivalent([child], root.children);
+
+      aver.areEqual(modLocal, child.resolve(IWeather));
+      aver.areEqual(modLocal, child.resolve(IWeather, "loc"));
+
+      aver.isTrue(  child.register(modNational, null, "nat")  );
+      aver.areEqual(modNational, child.resolve(IWeather));//own registrations take precedence
+      aver.areEqual(modNational, child.resolve(NationWeather));
+      aver.areEqual(modLocal, child.resolve(IWeather, "loc"));//named fallback
+      aver.isNull(root.tryResolve(IWeather, "nat"));
+      aver.isNull(root.tryResolve(NationWeather));
+      aver.throws(() => child.resolve(IWeather, "none"), "resolving type IWeather, name 'none'");
+
+      const grandChild = child.createChild();
+      aver.areEqual(modNational, grandChild.resolve(IWeather, "nat"));
+      aver.areEqual(modLocal, grandChild.resolve(LocalWeather));
+
+      const ref = sut.link(grandChild, { weather_loc: IWeather, weather_nat: IWeather });
+      aver.areEqual(modLocal, ref.weather_loc);
+      aver.areEqual(modNational, ref.weather_nat);
+    });
+
+    it("dispose tears down own registrations only",   function() {
+      const root = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      const modLocal = new LocalWeather(apps.NopApplication.instance, cfg);
+      const modNational = new NationWeather(apps.NopApplication.instance, cfg);
+      root.register(modLocal);
+
+      const child = root.createChild();
+      const grandChild = child.createChild();
+      child.register(modNational);
+      aver.isFalse(child.unregister(modLocal));//parent registration is not visible for unregistration
+
+      types.dispose(child);
+      aver.isTrue(child[types.DISPOSED_PROP]);
+      aver.isTrue(grandChild[types.DISPOSED_PROP]);
+      aver.areEqual(0, root.children.length);
+      aver.areEqual(0, Object.keys(child.dump()).length);
+      aver.areEqual(modLocal, root.resolve(IWeather));
+      aver.isFalse(modNational[types.DISPOSED_PROP]);//handlers are not owned by the scope
+
+      aver.throws(() => child.tryResolve(IWeather), "already disposed");
+      aver.throws(() => child.register(modNational), "already disposed");
+      aver.throws(() => child.createChild(), "already disposed");
+    });
+
+    it("parent type constraints",   function() {
+      const root = new mod.ModuleLinker();
+      aver.throws(() => new sut.Linker(IWeather, mod.Module, root), "same interface and handler types");
+      aver.throws(() => new mod.ModuleLinker({}), "isOf");
+    });
+
+    it("app disposes scopes",   function() {
+      const app = apps.application({});
+      const scope = app.moduleLinker.createChild();
+      aver.isNotNull(scope.tryResolve(ILog));
+      types.dispose(app);
+      aver.isTrue(scope[types.DISPOSED_PROP]);
+      aver.isFalse(app.moduleLinker[types.DISPOSED_PROP]);
+    });
+
+  });
+
+
+  describe("Factories", function() {
+
+    it("singleton is made lazily once",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      let made = 0;
+      aver.isTrue(  linker.registerFactory(IWeather, (lnk) => { made++; aver.areEqual(linker, lnk); return new LocalWeather(apps.NopApplication.instance, cfg); })  );
+      aver.areEqual(0, made);
+      aver.isTrue(linker.dump().IWeather["*"].indexOf("not made") >= 0);
+
+      const w1 = linker.resolve(IWeather);
+      const w2 = linker.resolve(IWeather);
+      aver.isOf(w1, LocalWeather);
+      aver.areEqual(w1, w2);
+      aver.areEqual(1, made);
+      aver.isTrue(linker.dump().IWeather["*"].indexOf("factory(singleton): (LocalWeather)") >= 0);
+      aver.isNull(linker.tryResolve(LocalWeather));//factories are registered for the specified interface only
+
+      types.dispose(linker);
+      aver.isTrue(w1[types.DISPOSED_PROP]);
+    });
+
+    it("transients and names",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      aver.isTrue(  linker.registerFactory(IWeather, () => new NationWeather(apps.NopApplication.instance, cfg), "nat", sut.LIFETIME.TRANSIENT)  );
+      aver.isTrue(  linker.registerFactory(IWeather, () => new LocalWeather(apps.NopApplication.instance, cfg), "loc", "Singleton")  );
+      aver.isFalse(  linker.registerFactory(IWeather, () => null, "nat")  );
+
+      const n1 = linker.resolve(IWeather, "nat");
+      const n2 = linker.resolve(IWeather, "nat");
+      aver.isOf(n1, NationWeather);
+      aver.areNotEqual(n1, n2);
+      aver.areEqual(linker.resolve(IWeather, "loc"), linker.resolve(IWeather, "loc"));
+
+      const ref = sut.link(linker, {weather_nat: IWeather});
+      aver.isOf(ref.weather_nat, NationWeather);
+
+      types.dispose(n2);//disposed by its user
+      const loc = linker.resolve(IWeather, "loc");
+      types.dispose(linker);
+      aver.isTrue(n1[types.DISPOSED_PROP]);
+      aver.isTrue(ref.weather_nat[types.DISPOSED_PROP]);
+      aver.isTrue(loc[types.DISPOSED_PROP]);
+    });
+
+    it("unregister factory",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      const factory = () => new LocalWeather(apps.NopApplication.instance, cfg);
+      linker.registerFactory(IWeather, factory);
+      const w = linker.resolve(IWeather);
+      aver.isFalse(linker.unregister(() => w));
+      aver.isTrue(linker.unregister(factory));
+      aver.isTrue(w[types.DISPOSED_PROP]);
+      aver.isNull(linker.tryResolve(IWeather));
+      aver.areEqual(0, Object.keys(linker.dump()).length);
+    });
+
+    it("scopes",   function() {
+      const root = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      root.registerFactory(IWeather, () => new LocalWeather(apps.NopApplication.instance, cfg));
+      const child = root.createChild();
+      child.registerFactory(IWeather, () => new NationWeather(apps.NopApplication.instance, cfg), "nat");
+
+      const nat = child.resolve(IWeather, "nat");
+      aver.areEqual(nat, child.resolve(IWeather));//own registrations take precedence
+      const loc = root.resolve(IWeather);
+      aver.isOf(loc, LocalWeather);
+      aver.isNull(root.tryResolve(IWeather, "nat"));
+      types.dispose(child);
+      aver.isTrue(nat[types.DISPOSED_PROP]);
+      aver.isFalse(loc[types.DISPOSED_PROP]);//owned by the parent
+    });
+
+    it("errors",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      linker.registerFactory(IWeather, () => { throw new Error("no weather today"); }, "bad");
+      linker.registerFactory(IWeather, () => ({}), "wrong");
+      linker.registerFactory(IWeather, () => new mod.Module(apps.NopApplication.instance, cfg), "base");
+      linker.registerFactory(IWeather, (lnk) => lnk.resolve(IWeather, "cycle"), "cycle");
+
+      aver.throws(() => linker.resolve(IWeather, "bad"), "Factory of type IWeather, name 'bad' failed: no weather today");
+      aver.throws(() => linker.resolve(IWeather, "wrong"), "name 'wrong' returned");
+      aver.throws(() => linker.resolve(IWeather, "base"), "not of the requested type");
+      aver.throws(() => linker.resolve(IWeather, "cycle"), "Circular factory resolution of type IWeather, name 'cycle'");
+      aver.throws(() => linker.registerFactory(IWeather, null), "isFunction");
+      aver.throws(() => linker.registerFactory(Object, () => null), "isSubclassOf");
+    });
+
+    it("asLifetime()",   function() {
+      aver.areEqual(sut.LIFETIME.TRANSIENT, sut.asLifetime("TRANSIENT"));
+      aver.areEqual(sut.LIFETIME.SINGLETON, sut.asLifetime(null));
+      aver.areEqual(sut.LIFETIME.SINGLETON, sut.asLifetime("whatever"));
+    });
+
+  });
+
+
+  describe("inject()", function() {
+
+    class Consumer{
+      static [sut.INJECT_PROP] = { weather: IWeather, nat: {type: IWeather, name: "nat"}, opt: {type: NationWeather, name: "none", optional: true} };
+    }
+
+    it("resolves all",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      const modLocal = new LocalWeather(apps.NopApplication.instance, cfg);
+      const modNational = new NationWeather(apps.NopApplication.instance, cfg);
+      linker.register(modLocal);
+      linker.register(modNational, null, "nat");
+
+      const got = sut.inject(linker, new Consumer());
+      aver.areEqual(modLocal, got.weather);
+      aver.areEqual(modNational, got.nat);
+      aver.isNull(got.opt);
+
+      const explicit = sut.inject(linker, {a: 1}, {w: {type: IWeather, name: "nat"}});
+      aver.areEqual(1, explicit.a);
+      aver.areEqual(modNational, explicit.w);
+      aver.areEqual(5, sut.inject(linker, {b: 5}).b);//nothing declared
+    });
+
+    it("reports all errors at once",   function() {
+      const linker = new mod.ModuleLinker();
+      linker.registerFactory(NationWeather, () => { throw new Error("offline"); }, "nat");
+      const target = new Consumer();
+      aver.throws(() => sut.inject(linker, target, {...Consumer[sut.INJECT_PROP], bad: "IWeather", fact: {type: NationWeather, name: "nat"}}),
+                  `Unresolved dependencies of 'Consumer': 'weather' -> IWeather; 'nat' -> IWeather("nat"). Did you mean: NationWeather("nat")?; 'bad' has bad declaration; 'fact' -> NationWeather("nat"): Factory of type NationWeather, name 'nat' failed: offline`);
+      aver.isUndefined(target.opt);//nothing is assigned on failure
+      aver.throws(() => sut.inject(linker, target, [IWeather]), "must declare injected dependencies as an object map");
+      aver.throws(() => sut.inject(null, target), "need Linker and target object");
+    });
+
+    it("asDependency()",   function() {
+      let d = sut.asDependency(IWeather);
+      aver.areEqual(IWeather, d.type);
+      aver.isNull(d.name);
+      aver.isFalse(d.optional);
+      d = sut.asDependency({type: IWeather, name: "a", optional: "true"});
+      aver.areEqual("a", d.name);
+      aver.isTrue(d.optional);
+      aver.isNull(sut.asDependency("IWeather"));
+      aver.isNull(sut.asDependency({name: "a"}));
+    });
+
+  });
+
+
+  describe("Diagnostics", function() {
+
+    it("near-match suggestions",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      linker.register(new LocalWeather(apps.NopApplication.instance, cfg), null, "loc");
+      linker.register(new NationWeather(apps.NopApplication.instance, cfg), null, "Nat");
+
+      const child = linker.createChild();
+      aver.areArraysEquivalent(['IWeather("loc")', 'IWeather("Nat")', 'NationWeather("Nat")'], child.suggest(IWeather, "nat"));
+      aver.areArraysEquivalent(['IWeather("Nat")'], child.suggest(IWeather, "loc", 1));
+      aver.throws(() => child.resolve(IWeather, "nat"), `resolving type IWeather, name 'nat'. Did you mean: IWeather("loc"), IWeather("Nat"), NationWeather("Nat")?`);
+      aver.throws(() => sut.link(child, {w_national: NationWeather}), `dependency 'national' of type 'NationWeather'. Did you mean: NationWeather("Nat")?`);
+
+      class IWeatherCopy extends mod.Module{ static get name(){ return "IWeather"; } }//same name, different class
+      aver.areArraysEquivalent(['IWeather("loc")', 'IWeather("Nat")'], child.suggest(IWeatherCopy));
+      aver.areEqual(0, child.suggest(apps.Application).length);
+    });
+
+    it("trace log",   function() {
+      const linker = new mod.ModuleLinker();
+      const cfg = conf.config({}).root;
+      const loc = new LocalWeather(apps.NopApplication.instance, cfg);
+      linker.register(loc, null, "loc");
+      linker.registerFactory(NationWeather, () => { throw new Error("offline"); });
+      const child = linker.createChild();
+
+      child.tryResolve(IWeather);//not traced
+      aver.isFalse(child.trace);
+      child.trace = true;
+      child.traceCapacity = 3;
+      const requester = {};
+      child.tryResolve(IWeather, "loc", requester);
+      child.tryResolve(IWeather, "none");
+      aver.throws(() => child.resolve(NationWeather), "offline");
+
+      const log = child.traceLog;
+      aver.areEqual(3, log.length);
+      aver.areEqual("IWeather", log[0].intf);
+      aver.areEqual("loc", log[0].name);
+      aver.isTrue(log[0].hit);
+      aver.areEqual(1, log[0].scope);//found in parent
+      aver.isTrue(log[0].handler.indexOf("(LocalWeather)") === 0);
+      aver.areEqual("(Object) [object Object]", log[0].requester);
+      aver.isFalse(log[1].hit);
+      aver.areEqual(-1, log[1].scope);
+      aver.isNull(log[1].handler);
+      aver.isTrue(log[2].error.indexOf("offline") >= 0);
+      aver.areEqual(0, linker.traceLog.length);//parent is not tracing
+
+      child.tryResolve(IWeather, "loc");
+      aver.areEqual(3, child.traceLog.length);//capacity
+      aver.areEqual("none", child.traceLog[0].name);
+
+      child.clearTrace();
+      aver.areEqual(0, child.traceLog.length);
+    });
+
+    it("resolution graph",   function() {
+      const app = apps.application({ linkerTrace: true, modules: [{name: "cle", type: LocalWeather}] });
+      try{
+        const linker = app.moduleLinker;
+        aver.isTrue(linker.trace);
+        const cle = linker.resolve(IWeather);
+        const mod1 = new mod.Module(app, conf.config({name: "m1"}).root);
+        mod1.link({w: IWeather});
+        mod1.link({w_cle: IWeather});
+        mod1.link({w_cle: IWeather});
+        const other = {};
+        linker.resolve(LocalWeather, null, other);
+
+        const graph = linker.getResolutionGraph();
+        aver.areEqual(3, graph.nodes.length);
+        aver.areEqual(3, graph.edges.length);
+        const m1Node = graph.nodes.find(one => one.name === "m1");
+        aver.areEqual(`sid-${mod1.sid}`, m1Node.id);
+        aver.areEqual("Module", m1Node.type);
+        const cleNode = graph.nodes.find(one => one.name === "cle");
+        aver.areEqual("LocalWeather", cleNode.type);
+
+        const named = graph.edges.find(one => one.name === "cle");
+        aver.areEqual(m1Node.id, named.from);
+        aver.areEqual(cleNode.id, named.to);
+        aver.areEqual("IWeather", named.intf);
+        aver.areEqual(2, named.count);
+
+        const byOther = graph.edges.find(one => one.intf === "LocalWeather");
+        aver.isTrue(byOther.from.startsWith("obj-"));
+        aver.areEqual(cle, linker.resolve(IWeather));
+
+        linker.clearTrace();
+        aver.areEqual(0, linker.getResolutionGraph().edges.length);
+      } finally { types.dispose(app); }
+    });
+
+  });
+
 });
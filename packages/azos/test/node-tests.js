@@ -0,0 +1,193 @@
+/*<FILE_LICENSE>
+ * Azos (A to Z Application Operating System) Framework
+ * The A to Z Foundation (a.k.a. Azist) licenses this file to you under the MIT license.
+ * See the LICENSE file in the project root for more information.
+</FILE_LICENSE>*/
+
+//import { describe, it } from "mocha";
+import { defineUnit as describe, defineCase as it } from "../run.js";
+import * as aver from "../aver.js";
+import { dispose, DISPOSED_PROP, DISPOSE_METHOD, NAME_PROP, setCryptoSource, getRndBytes } from "../types.js";
+import { IStorage } from "../storage.js";
+import { Module, HEALTH_STATUS } from "../modules.js";
+import { Application } from "../application.js";
+
+//Node modules are imported dynamically via non-literal specifiers, so browser bundlers do not try to package them
+const NODE_MODULE = "../node.js";
+const NODE_FS = "node:fs";
+const NODE_OS = "node:os";
+const NODE_PATH = "node:path";
+
+const notNode = () => typeof(process) === "undefined" || !process.versions || !process.versions.node;
+
+async function tempFileName(name){
+  const os = await import(NODE_OS);
+  const path = await import(NODE_PATH);
+  return path.join(os.tmpdir(), `azos-tests-${process.pid}-${Date.now()}`, name);
+}
+
+const getModule = (app, name) => app.modules.find(one => one[NAME_PROP] === name);
+
+async function countSignalHandlers(app){
+  const sut = await import(NODE_MODULE);
+  return app.modules.filter(one => one instanceof sut.ProcessSignalHandler).length;
+}
+
+describe("Node", function() {
+
+  it("useNodeCrypto()",   async function() {
+    const sut = await import(NODE_MODULE);
+    const prev = sut.useNodeCrypto();
+    try{
+      aver.areEqual(16, getRndBytes(16).length);
+      let calls = 0;
+      const node = setCryptoSource({getRandomValues: (buf) => { calls++; return buf.fill(7); }});
+      aver.areEqual(7, getRndBytes(4)[3]);
+      aver.areEqual(1, calls);
+      aver.isFunction(node.getRandomValues);
+      aver.throws(() => setCryptoSource({}), "must implement `getRandomValues(buf)`");
+    } finally { setCryptoSource(prev); }
+  }, notNode);
+
+  it("useAsyncAppScope()",   async function() {
+    const sut = await import(NODE_MODULE);
+    const prev = sut.useAsyncAppScope();
+    const a = sut.nodeApplication({ id: "async-a", handleSignals: false });
+    const b = sut.nodeApplication({ id: "async-b", handleSignals: false });
+    try{
+      const probe = (app) => app.run(async () => {
+        await new Promise(r => setTimeout(r, 5));
+        return Application.current;
+      });
+      const got = await Promise.all([probe(a), probe(b)]);
+      aver.areEqual(a, got[0]);
+      aver.areEqual(b, got[1]);
+      aver.areEqual(b, Application.current);
+    } finally {
+      Application.setScopeProvider(prev);
+      dispose(b);
+      dispose(a);
+    }
+  }, notNode);
+
+  it("FileStorage",   async function() {
+    const sut = await import(NODE_MODULE);
+    const fs = await import(NODE_FS);
+    const path = await import(NODE_PATH);
+    const fileName = await tempFileName("store.json");
+
+    let app = sut.nodeApplication({ handleSignals: false, modules: [{name: "store", type: "azos.node.FileStorage", fileName}] });
+    try{
+      const store = app.moduleLinker.resolve(IStorage);
+      aver.isOf(store, sut.FileStorage);
+      aver.areEqual(fileName, store.fileName);
+      aver.areEqual(0, store.length);
+      store.setItem("a", "1");
+      store.setItem("b", 2);
+      store.removeItem("none");
+      aver.areEqual(2, store.length);
+      aver.areEqual("b", store.key(1));
+      aver.isNull(store.key(2));
+      aver.areEqual("2", store.getItem("b"));
+      aver.isNull(store.getItem("none"));
+      aver.areEqual("1", JSON.parse(fs.readFileSync(fileName, "utf8")).a);
+      aver.areEqual(HEALTH_STATUS.HEALTHY, (await app.checkHealth()).status);
+    } finally { dispose(app); }
+
+    app = sut.nodeApplication({ handleSignals: false, modules: [{name: "store", type: sut.FileStorage, file: fileName}] });
+    try{
+      const store = app.moduleLinker.resolve(IStorage);
+      aver.areEqual(2, store.length);
+      aver.areEqual("1", store.getItem("a"));
+      store.removeItem("a");
+      aver.isNull(store.getItem("a"));
+      store.clear();
+      aver.areEqual(0, Object.keys(JSON.parse(fs.readFileSync(fileName, "utf8"))).length);
+    } finally {
+      dispose(app);
+      fs.rmSync(path.dirname(fileName), {recursive: true, force: true});
+    }
+  }, notNode);
+
+  it("FileStorage bad file",   async function() {
+    const sut = await import(NODE_MODULE);
+    const fs = await import(NODE_FS);
+    const path = await import(NODE_PATH);
+    const fileName = await tempFileName("bad.json");
+    fs.mkdirSync(path.dirname(fileName), {recursive: true});
+    fs.writeFileSync(fileName, "[1, 2", "utf8");
+    try{
+      aver.throws(() => sut.nodeApplication({ handleSignals: false, modules: [{name: "store", type: sut.FileStorage, fileName}] }), "could not be loaded");
+      aver.throws(() => sut.nodeApplication({ handleSignals: false, modules: [{name: "store", type: sut.FileStorage}] }), "isNonEmptyString");
+    } finally { fs.rmSync(path.dirname(fileName), {recursive: true, force: true}); }
+  }, notNode);
+
+  it("ProcessSignalHandler",   async function() {
+    const sut = await import(NODE_MODULE);
+    const before = process.listenerCount("SIGUSR2");
+    const app = sut.nodeApplication({ modules: [{name: "sig", type: sut.ProcessSignalHandler, signals: "SIGUSR2", exit: false}] });
+    try{
+      const sig = getModule(app, "sig");
+      aver.areArraysEquivalent(["SIGUSR2"], sig.signals);
+      aver.areEqual(1, await countSignalHandlers(app));//declared handler is not duplicated
+      aver.areEqual(before + 1, process.listenerCount("SIGUSR2"));
+      await app.start();
+      aver.isFalse(sig.isShuttingDown);
+
+      process.emit("SIGUSR2", "SIGUSR2");
+      aver.isTrue(sig.isShuttingDown);
+      await sig.shutdown();
+      aver.isTrue(app[DISPOSED_PROP]);
+      aver.areEqual("stopped", app.state);
+      aver.areEqual(before, process.listenerCount("SIGUSR2"));
+    } finally { dispose(app); }
+  }, notNode);
+
+  it("ProcessSignalHandler contains dispose errors",   async function() {
+    const sut = await import(NODE_MODULE);
+    const app = sut.nodeApplication({ modules: [{name: "sig", type: sut.ProcessSignalHandler, signals: "SIGUSR2", exit: false}] });
+    app[DISPOSE_METHOD] = () => { throw new Error("bad dispose"); };
+    try{
+      await app.start();
+      await getModule(app, "sig").shutdown();//resolves despite the dispose error
+      aver.areEqual("stopped", app.state);
+    } finally {
+      delete app[DISPOSE_METHOD];
+      dispose(app);
+    }
+  }, notNode);
+
+  it("nodeApplication() defaults",   async function() {
+    const sut = await import(NODE_MODULE);
+    const before = process.listenerCount("SIGTERM");
+    let app = sut.nodeApplication({ id: "n1" });
+    try{
+      const sig = getModule(app, "processSignals");
+      aver.isOf(sig, sut.ProcessSignalHandler);
+      aver.areArraysEquivalent(["SIGINT", "SIGTERM"], sig.signals);
+      aver.areEqual(before + 1, process.listenerCount("SIGTERM"));
+    } finally { dispose(app); }
+    aver.areEqual(before, process.listenerCount("SIGTERM"));
+
+    app = sut.nodeApplication('{"handleSignals": false, "modules": [{"name": "sig", "type": "azos.node.ProcessSignalHandler", "exit": false}]}');
+    try{
+      aver.areEqual(1, await countSignalHandlers(app));
+      aver.isOf(getModule(app, "sig"), sut.ProcessSignalHandler);
+    } finally { dispose(app); }
+
+    app = sut.nodeApplication({ handleSignals: false });
+    try{ aver.areEqual(0, await countSignalHandlers(app)); }
+    finally { dispose(app); }
+  }, notNode);
+
+  it("nodeApplication() keeps modules declared via alias",   async function() {
+    const sut = await import(NODE_MODULE);
+    class Foo extends Module{ constructor(dir, cfg){ super(dir, cfg); } }
+    const app = sut.nodeApplication({ mods: [{name: "foo", type: Foo}] });
+    try{
+      aver.isOf(getModule(app, "foo"), Foo);
+      aver.isOf(getModule(app, "processSignals"), sut.ProcessSignalHandler);
+    } finally { dispose(app); }
+  }, notNode);
+
+});
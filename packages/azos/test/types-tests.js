@@ -1382,4 +1382,31 @@ describe("Types", function() {
   });//MinMaxBetween
 
 
+  describe("callWithTimeout", function() {
+
+    it("completes",   async function() {
+      aver.areEqual(1, await sut.callWithTimeout(() => 1, 0, "sync"));
+      aver.areEqual(2, await sut.callWithTimeout(async () => 2, 100, "async"));
+    });
+
+    it("times out",   async function() {
+      class MyError extends sut.AzosError{ constructor(msg, from){ super(msg, from); } }
+      let error = null;
+      try{ await sut.callWithTimeout(() => new Promise(r => setTimeout(r, 200)), 10, "Slow call", "test", MyError); }
+      catch(e){ error = e; }
+      aver.isOf(error, MyError);
+      aver.isTrue(error.message.indexOf("Slow call timed out after 10 ms") >= 0);
+      aver.areEqual("test", error.from);
+    });
+
+    it("rejects",   async function() {
+      let error = null;
+      try{ await sut.callWithTimeout(() => { throw new Error("crap"); }, 100, "Bad call"); }
+      catch(e){ error = e; }
+      aver.areEqual("crap", error.message);
+    });
+
+  });//callWithTimeout
+
+
 });
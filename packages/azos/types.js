@@ -742,10 +742,10 @@ export function cast(v, tmon, canUndef=false){
 }
 
 
-//crypto module is NOT loaded by default on node. Need async fallback.
-//On browser it is pre-loaded as-is
+//crypto module is NOT loaded by default on older node versions. Need async fallback.
+//On browser it is pre-loaded as-is, newer node versions expose web crypto api as a global
 //let cryptoModule = null;
-let cryptoModule = typeof(window) !== "undefined" ? window.crypto : null;
+let cryptoModule = typeof(window) !== "undefined" ? window.crypto : (globalThis.crypto ?? null);
 
 ////20231226 DKh commented because parcel browserifies this with 3.5 mb of polyfill which we do not need
 //// If you need to run this on node, we will figure it out in future using import vuia Data uri see:
@@ -756,6 +756,20 @@ let cryptoModule = typeof(window) !== "undefined" ? window.crypto : null;
 //   cryptoModule = crypto;
 // }
 
+/**
+ * Sets crypto api facade used by {@link getRndBytes} and {@link genGuid}, e.g. node `webcrypto`.
+ * The source must implement `getRandomValues(buf)` and may implement `randomUUID()`
+ * @param {object | null} source crypto api facade, or null to fall back to pseudo random generation
+ * @returns {object | null} previously set crypto api facade
+ */
+export function setCryptoSource(source){
+  source = source ?? null;
+  if (source !== null && !isFunction(source.getRandomValues)) throw new AzosError("Crypto source must implement `getRandomValues(buf)`", "setCryptoSource()");
+  const result = cryptoModule;
+  cryptoModule = source;
+  return result;
+}
+
 /**
  * Gets an instance of {@link Uint8Array} filled with random bytes
  * based on crypto api facade
@@ -834,3 +848,23 @@ export function trimUri(uri, lsl = false, tsl = false, canUndef = false){
 
   return uri;
 }
+
+/**
+ * Calls a sync or async function rejecting if it does not complete within the timeout.
+ * The function can not be aborted, so it keeps running after the timeout
+ * @param {Function} fn sync or async function to call
+ * @param {int} timeoutMs timeout in milliseconds, 0 or less means no timeout
+ * @param {string} descr description of the call used in the timeout error message, e.g. "Module 'x' start"
+ * @param {string} [from] optional error `from`
+ * @param {Function} [errorType=AzosError] class of the timeout error which takes `(message, from)`
+ * @returns {Promise<*>} the function result
+ */
+export function callWithTimeout(fn, timeoutMs, descr, from = null, errorType = AzosError){
+  const call = Promise.resolve().then(fn);
+  if (!(timeoutMs > 0)) return call;
+  let handle = null;
+  const timeout = new Promise((_, reject) => {
+    handle = setTimeout(() => reject(new errorType(`${descr} timed out after ${timeoutMs} ms`, from)), timeoutMs);
+  });
+  return Promise.race([call, timeout]).finally(() => clearTimeout(handle));
+}